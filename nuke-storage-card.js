@@ -4,14 +4,1302 @@
 // v1.0.31
 
 (() => {
+  // title, description and button_label default to the translations; see
+  // DEFAULT_TEXTS.
   const DEFAULTS = {
-    title: "Nuke Storage Card",
-    description:
-      "Choose what to clear for this origin. Actions include localStorage, sessionStorage, cookies, IndexedDB, Cache Storage, and Service Workers.",
-    button_label: "Choose",
-    show_details: true
+    mode: "card",
+    icon: "mdi:nuke",
+    show_details: true,
+    show_usage: false,
+    usage_warning: 70,
+    usage_critical: 90,
+    usage_refresh: 60,
+    preserve: {},
+  };
+
+  // Translation keys of the texts a config may leave unset. Configs saved by
+  // older versions spell out the English defaults; those are translated too.
+  const DEFAULT_TEXTS = {
+    title: "card.title",
+    description: "card.description",
+    button_label: "card.button",
+  };
+
+  const DEFAULT_REMOTE_EVENT = "nuke_storage_request";
+
+  // localStorage keys owned by the card; always kept when clearing.
+  const BROWSER_ID_KEY = "nuke-storage-card-browser-id";
+  const AUTO_STATE_KEY = "nuke-storage-card-auto";
+  const RESCUE_KEY = "nuke-storage-card-rescue";
+  const CARD_KEYS = [BROWSER_ID_KEY, AUTO_STATE_KEY, RESCUE_KEY];
+
+  // Stable per-browser ID used to target remote requests.
+  // With `create` false, null until one has been made (by remote_trigger).
+  const getBrowserId = (create = true) => {
+    let id = null;
+    try {
+      id = localStorage.getItem(BROWSER_ID_KEY);
+      if (!id && create) {
+        id = crypto.randomUUID
+          ? crypto.randomUUID()
+          : Math.random().toString(36).slice(2) + Date.now().toString(36);
+        localStorage.setItem(BROWSER_ID_KEY, id);
+      }
+    } catch {}
+    return id;
+  };
+
+  // Registry of storage types, in clearing order; `key` is the name used in
+  // card config. Third-party providers are appended by registerProvider.
+  const STORAGE_TYPES = [
+    {
+      id: "ls",
+      key: "local_storage",
+      label: "localStorage",
+      preservable: true,
+    },
+    {
+      id: "ss",
+      key: "session_storage",
+      label: "sessionStorage",
+      preservable: true,
+    },
+    {
+      id: "cookies",
+      key: "cookies",
+      label: "Cookies",
+      preservable: true,
+      note: "HttpOnly cannot be removed",
+    },
+    {
+      id: "cache",
+      key: "cache_storage",
+      label: "Cache Storage",
+      preservable: true,
+    },
+    { id: "sw", key: "service_workers", label: "Service Workers" },
+    { id: "idb", key: "indexeddb", label: "IndexedDB", preservable: true },
+    {
+      id: "opfs",
+      key: "opfs",
+      label: "Origin Private File System",
+      preservable: true,
+    },
+    {
+      id: "buckets",
+      key: "storage_buckets",
+      label: "Storage Buckets",
+      preservable: true,
+    },
+  ];
+
+  // -------- Translations --------
+  // Card, dialog, log and editor texts by language. Values are strings with
+  // {placeholders}, or plural forms keyed by Intl.PluralRules category
+  // (one, few, many, other) and picked by the `count` placeholder. Missing
+  // keys fall back to English. Storage type labels and notes are looked up
+  // as type.<id> and type.<id>.note, falling back to the registry.
+  // `strings:` in the card config overrides any key.
+  const TRANSLATIONS = {
+    en: {
+      "card.title": "Nuke Storage Card",
+      "card.description":
+        "Choose what to clear for this origin. Actions include localStorage, sessionStorage, cookies, IndexedDB, Cache Storage, Service Workers, the Origin Private File System and Storage Buckets.",
+      "card.button": "Choose",
+      "category.session": "Login session",
+      "category.ui": "UI preferences",
+      "category.identity": "Device identity",
+      "category.caches": "Caches",
+      "category.card": "Nuke Storage Card",
+      "category.other": "Other",
+      "key.tokens": "Access and refresh tokens; clearing logs you out",
+      "key.theme": "Theme and dark mode choice",
+      "key.language": "Frontend language",
+      "key.sidebar_order": "Sidebar item order",
+      "key.sidebar_hidden": "Hidden sidebar items",
+      "key.sidebar_docked": "Sidebar docked or hidden",
+      "key.default_panel": "Dashboard opened at start",
+      "key.vibrate": "Haptic feedback",
+      "key.shortcuts": "Keyboard shortcuts",
+      "key.suspend": "Disconnect while the tab is hidden",
+      "key.browser_mod": "browser_mod browser ID; a new one means a new device",
+      "key.cache": "Cached data, rebuilt when needed",
+      "key.browser_id": "Browser ID for remote requests",
+      "key.auto_state": "Automatic clearing state",
+      "key.rescue": "URL rescue trigger opt-in",
+      "state.unsupported": "{label}: not supported",
+      "state.unsupported_idb": "{label}: enumeration not supported",
+      "state.unsupported_sw": "{label}: no API / none registered",
+      "state.cookies": "{label}: {count} visible",
+      "state.idb": {
+        one: "{label}: {count} database",
+        other: "{label}: {count} databases",
+      },
+      "state.cache": {
+        one: "{label}: {count} cache",
+        other: "{label}: {count} caches",
+      },
+      "state.sw": {
+        one: "{label}: {count} registration",
+        other: "{label}: {count} registrations",
+      },
+      "state.opfs": {
+        one: "{label}: {count} entry",
+        other: "{label}: {count} entries",
+      },
+      "state.buckets": {
+        one: "{label}: {count} bucket",
+        other: "{label}: {count} buckets",
+      },
+      "state.items": {
+        one: "{label}: {count} item",
+        other: "{label}: {count} items",
+      },
+      "state.estimate": "Total usage: {usage} (quota: {quota})",
+      "step.line": "{label}: {parts} ({ms} ms)",
+      "step.error": "{label}: error {error}",
+      "step.timed_out": "timed out after {seconds} s",
+      "note.kept": "kept {names}",
+      "note.blocked": "blocked {names}",
+      "note.remaining": "still present {names}",
+      "note.error": "error {error}",
+      "idb.success": "deleted",
+      "idb.blocked": "blocked by another open connection",
+      "idb.timeout": "timed out",
+      "idb.error": "failed",
+      "auto.version": "Home Assistant changed from {from} to {to}",
+      "auto.quota": "Storage use is {percent}% of quota ({usage} of {quota})",
+      "auto.log": "Auto: {message}",
+      "auto.toast": "Nuke Storage: {message}",
+      "auto.cleared": "{message}; cleared {types}",
+      "auto.clearing": "Auto: {message}; clearing {types}",
+      "auto.name": "Automatic",
+      "tabs.notice_reload":
+        "Another Home Assistant tab is clearing site data. This tab will reload when asked.",
+      "tabs.notice_close":
+        "Another Home Assistant tab is clearing site data. This tab will close when asked.",
+      "tabs.acked": "Other tabs: {count} acknowledged",
+      "tabs.missing": "No reply from: {names}",
+      "rescue.heading": "Nuke Storage rescue",
+      "rescue.countdown": "Clearing in {seconds} s for {origin}: {types}",
+      "rescue.running": "Clearing: {types}",
+      "rescue.done": "Done; reloading ...",
+      "rescue.failed": "Clearing failed: {error}",
+      "rescue.nothing": 'No known storage types in "{value}"',
+      "rescue.not_enabled":
+        "?{param} is ignored: the URL trigger is not enabled in this browser.",
+      "rescue.cancel": "Cancel",
+      "rescue.close": "Close",
+      "countdown.reload": "Reloading in {seconds} s",
+      "countdown.hard_reload": "Reloading in {seconds} s",
+      "countdown.navigate": "Leaving this page in {seconds} s",
+      "countdown.login": "Going to the login page in {seconds} s",
+      "report.title": "Nuke Storage report for {origin}",
+      "report.times": "Started {started}, finished {finished}",
+      "report.type": "Type",
+      "report.before": "Before",
+      "report.after": "After",
+      "report.removed": "Removed",
+      "report.kept": "Kept",
+      "report.blocked": "Blocked",
+      "report.remaining": "Still present",
+      "report.errors": "Errors",
+      "report.time": "Time",
+      "report.notes": "Notes",
+      "report.cancelled": "Cancelled before all steps ran.",
+      "report.usage": "Usage: {before} → {after}",
+      "report.copy_json": "Copy JSON",
+      "report.copy_markdown": "Copy Markdown",
+      "report.copied": "{label}: copied",
+      "summary.removed": "removed {count}",
+      "summary.kept": "kept {count}",
+      "summary.nothing": "nothing",
+      "summary.cancelled": "cancelled",
+      "usage.label": "Storage usage by type",
+      "usage.unavailable": "Usage estimate not available",
+      "usage.total": "{usage} of {quota}",
+      "usage.persistent_on":
+        "Persistent storage: on (remove it in the browser's site settings)",
+      "usage.persistent_off":
+        "Persistent storage: off (the browser may evict this data)",
+      "usage.make_persistent": "Make persistent",
+      "usage.persist_granted": "Persistent storage granted",
+      "usage.persist_denied":
+        "Persistent storage was not granted by the browser",
+      "remote.id": "Remote trigger ID for this browser: {id}",
+      "remote.subscribe_failed":
+        "Remote trigger: cannot subscribe to {event}: {error}",
+      "remote.no_clear": "Remote trigger: request without `clear` ignored",
+      "remote.requested": "Remote trigger: {event} requested by {user}",
+      "remote.automation": "an automation",
+      "remote.name": "Remote request",
+      "action.no_preset": 'No preset named "{name}"',
+      "dialog.heading": "What should we clear?",
+      "dialog.intro": "Pick the data types to remove for {origin}.",
+      "dialog.preview": "Preview what will be removed",
+      "dialog.backup": "Download a backup first",
+      "dialog.backup_note": "(web storage, readable cookies, IndexedDB)",
+      "dialog.cancel": "Cancel",
+      "dialog.clear": "Clear",
+      "dialog.nuke": "Nuke",
+      "preview.about": "(about {size})",
+      "preview.nothing": "Nothing selected.",
+      "preview.count": "{label}: {count} to remove{size}",
+      "preview.unlisted":
+        "{label}: cannot list in this browser; everything found is removed",
+      "preview.kept": "Kept: {names}",
+      "preserve.note": "Always kept: {list}",
+      "preset.confirm": "{name}: clear {types} for {origin}?",
+      "lock.admin":
+        "Locked: only administrators or permitted users can clear storage here.",
+      "lock.users": "Locked: only permitted users can clear storage here.",
+      "confirm.word": "Type {word} to confirm",
+      "confirm.pin": "Enter the PIN to confirm",
+      "confirm.hold": "Press and hold the button for {seconds} s",
+      "confirm.word_error": "Type {word} first.",
+      "confirm.wrong_pin": "Wrong PIN.",
+      "confirm.no_pin": "No PIN is configured.",
+      "confirm.pin_insecure":
+        "PIN confirmation needs a secure (https) connection.",
+      "confirm.keep_holding": "Keep holding the button.",
+      "common.refresh": "Refresh",
+      "common.delete": "Delete",
+      "common.delete_selected": "Delete selected",
+      "common.delete_matching": "Delete matching",
+      "common.select_all": "Select all",
+      "common.retry": "Retry",
+      "common.loading": "Loading ...",
+      "common.empty": "Empty",
+      "common.unsupported": "Not supported by this browser",
+      "common.confirm_delete": 'Delete "{name}" from {label}?',
+      "common.removed": 'removed "{name}"',
+      "common.remove_failed": 'could not remove "{name}": {error}',
+      "cache.inspect": "Inspect caches",
+      "cache.entries": { one: "{count} entry", other: "{count} entries" },
+      "cache.entries_heading": "Entries",
+      "cache.pattern": "URL contains or glob",
+      "cache.pattern_label": "URL pattern",
+      "cache.days": "Older than (days)",
+      "cache.days_label": "Older than days",
+      "cache.kb": "Larger than (KB)",
+      "cache.kb_label": "Larger than kilobytes",
+      "cache.no_entries": "No entries",
+      "cache.unknown_type": "unknown type",
+      "cache.no_date": "no Date header",
+      "cache.removed": {
+        one: 'removed {count} entry from "{name}"',
+        other: 'removed {count} entries from "{name}"',
+      },
+      "cache.no_match": 'no entries in "{name}" match',
+      "cache.confirm_matching": {
+        one: 'Delete {count} matching entry from "{name}"?',
+        other: 'Delete {count} matching entries from "{name}"?',
+      },
+      "cache.confirm_delete": 'Delete cache "{name}"?',
+      "cache.deleted": 'deleted "{name}"',
+      "cache.delete_failed": 'error deleting "{name}": {error}',
+      "cache.unsupported": "Cache Storage is not supported",
+      "cache.none": "No caches",
+      "cookies.browse": "Browse cookies",
+      "cookies.limited":
+        "This browser only exposes cookie names and values. Deletion tries every domain and path.",
+      "cookies.host_only": "host only",
+      "cookies.expires": "expires {date}",
+      "cookies.session": "session",
+      "cookies.none": "No cookies visible to scripts",
+      "cookies.removed": "removed {removed} of {count}",
+      "cookies.remaining": "still present: {names}",
+      "sw.manage": "Manage registrations",
+      "sw.installing": "installing",
+      "sw.waiting": "waiting",
+      "sw.active": "active",
+      "sw.update": "Update",
+      "sw.skip_waiting": "Skip waiting",
+      "sw.unregister": "Unregister",
+      "sw.failed": "{action} failed for {scope}: {error}",
+      "sw.update_checked": "update checked for {scope}",
+      "sw.skip_asked":
+        "asked the waiting worker for {scope} to activate; reload to use it",
+      "sw.confirm_unregister": "Unregister the service worker for {scope}?",
+      "sw.unregistered": "unregistered {scope}",
+      "sw.unregister_failed": "could not unregister {scope}",
+      "sw.unsupported": "Service workers are not supported",
+      "sw.none": "No registrations",
+      "idb.inspect": "Inspect databases",
+      "idb.fallback":
+        "indexedDB.databases() is not available; checking common names instead.",
+      "idb.not_found": "not found",
+      "idb.no_stores": "No object stores",
+      "idb.deleting": "Deleting ...",
+      "idb.confirm_delete": 'Delete IndexedDB database "{name}"?',
+      "idb.none": "No databases",
+      "opfs.inspect": "Inspect files",
+      "opfs.folder": "folder",
+      "opfs.file": "file",
+      "buckets.inspect": "Inspect buckets",
+      "buckets.quota": "quota {size}",
+      "buckets.persistent": "persistent",
+      "keys.categories": "Categories",
+      "keys.browse": "Browse keys",
+      "keys.search": "Search keys",
+      "keys.select_shown": "Select all shown",
+      "keys.pattern": "Prefix or glob, e.g. cache-*",
+      "keys.pattern_label": "Prefix or glob pattern",
+      "keys.no_match": "No matching keys",
+      "keys.none": "No keys",
+      "keys.removed": {
+        one: "removed {count} key",
+        other: "removed {count} keys",
+      },
+      "keys.pattern_no_match": 'no keys match "{pattern}"',
+      "keys.confirm_matching": {
+        one: 'Delete {count} {area} key matching "{pattern}"?',
+        other: 'Delete {count} {area} keys matching "{pattern}"?',
+      },
+      "run.backup_saving": "Saving backup ...",
+      "run.backup_done": "Backup downloaded ({size})",
+      "run.backup_failed": "Backup failed, nothing was cleared: {error}",
+      "run.clearing": "Clearing ...",
+      "run.cancelled": "Cancelled; the remaining steps were skipped.",
+      "run.stay": "Cancelled; staying on this page.",
+      "history.heading": "History",
+      "history.not_saved": "History: not saved ({error})",
+      "history.last": "Last nuke",
+      "history.dismiss": "Dismiss",
+      "history.not_connected": "Not connected",
+      "history.none": "No runs recorded",
+      "progress.cancel": "Cancel",
+      "progress.cancelling": "Cancelling after the current step ...",
+      "progress.count": {
+        one: "Clearing: {finished} of {count} step",
+        other: "Clearing: {finished} of {count} steps",
+      },
+      "progress.pending": "pending",
+      "progress.running": "running",
+      "progress.done": "done",
+      "progress.blocked": "blocked",
+      "progress.failed": "failed",
+      "progress.skipped": "skipped",
+      "log.label": "Log of storage clearing operations",
+      "backup.db_skipped": 'Backup: IndexedDB "{name}" skipped: {error}',
+      "restore.button": "Restore from file",
+      "restore.unreadable": "Restore: cannot read {file}: {error}",
+      "restore.other_origin":
+        "This backup was taken on {origin}, not {current}. Restore anyway?",
+      "restore.confirm":
+        "Restore the backup from {created}? Items with the same names are overwritten and backed-up IndexedDB databases are replaced.",
+      "restore.running": "Restoring ...",
+      "restore.done":
+        "Restored: localStorage {ls} keys, sessionStorage {ss} keys, cookies {cookies}, IndexedDB {idb} databases",
+      "restore.failed": "Restore failed: {error}",
+      "restore.item_failed": 'Restore: {area} "{name}": {error}',
+      "restore.db_failed": 'Restore: IndexedDB "{name}": {error}',
+      "restore.cookies_at_root":
+        "Restore: the backup has no path for these cookies, so they were restored at /: {names}",
+      "editor.title": "Title",
+      "editor.description": "Description",
+      "editor.mode": "Display mode",
+      "editor.mode.card": "Full card",
+      "editor.mode.tile": "Tile",
+      "editor.mode.row": "Entity row",
+      "editor.icon": "Icon",
+      "editor.button_label": "Button label",
+      "editor.default_checked": "Checked when the dialog opens",
+      "editor.default_checked_helper": "None checked means all types.",
+      "editor.display": "Log and usage",
+      "editor.show_details": "Show log",
+      "editor.show_usage": "Show storage usage",
+      "editor.usage_warning": "Warning at (%)",
+      "editor.usage_critical": "Critical at (%)",
+      "editor.usage_refresh": "Refresh every (s)",
+      "editor.after_clear": "After clearing",
+      "editor.action": "Action",
+      "editor.after.none": "Stay on the page",
+      "editor.after.reload": "Reload",
+      "editor.after.hard_reload": "Reload, bypassing caches",
+      "editor.after.navigate": "Go to a path",
+      "editor.after.login": "Go to the login page",
+      "editor.delay": "Delay (s)",
+      "editor.countdown": "Show a cancelable countdown",
+      "editor.path": "Path for navigate",
+      "editor.confirmation": "Confirmation",
+      "editor.confirmation_mode": "Mode",
+      "editor.confirm.none": "Dialog only",
+      "editor.confirm.word": "Type a word",
+      "editor.confirm.hold": "Press and hold",
+      "editor.confirm.pin": "PIN",
+      "editor.word": "Word",
+      "editor.hold_seconds": "Hold for (s)",
+      "editor.pin": "New PIN",
+      "editor.pin_helper":
+        "Saved when you leave the field, as an unsalted SHA-256 hash that anyone who can read this dashboard can reverse. It prevents accidents, not determined users.",
+      "editor.access": "Who may clear",
+      "editor.require_admin": "Administrators",
+      "editor.allowed_users": "User IDs",
+      "editor.allowed_users_helper":
+        "Either restriction lets a user clear; none means everyone.",
+      "editor.preserve": "Always keep",
+      "editor.preserve_helper": "Prefixes or globs with * and ?",
+      "editor.other_tabs": "Other open tabs",
+      "editor.tabs.reload": "Reload them",
+      "editor.tabs.close": "Close them",
+      "editor.tabs.ignore": "Leave them alone",
+      "editor.tabs_timeout": "Wait for replies (s)",
+      "editor.remote": "Remote requests",
+      "editor.remote_trigger": "Listen for remote requests",
+      "editor.remote_event": "Event type",
+      "editor.url_trigger": "Allow rescue from the URL (?nuke_storage=)",
+      "editor.url_trigger_helper":
+        "Remembered in this browser, so it works even when the dashboard does not load. The rescue skips the lock, PIN and user restrictions; anyone who can open the link only has to wait out the countdown.",
+      "editor.url_trigger_countdown": "Rescue countdown (s)",
+      "editor.advanced": "Advanced (YAML)",
+      "editor.presets": "Presets",
+      "editor.tap_action": "Tap action",
+      "editor.hold_action": "Hold action",
+      "editor.auto_clear": "Automatic clearing",
+      "editor.step_timeouts": "Step timeouts (s)",
+      "editor.key_catalog": "Key catalog",
+      "editor.strings": "Texts",
+      "editor.invalid_json": "Not valid JSON: {error}",
+      "editor.emit_failed": "Could not apply the change: {error}",
+      "validate.mode": "mode must be one of {modes}",
+      "validate.type": 'default_checked: unknown storage type "{key}"',
+      "validate.usage": "usage_warning must be below usage_critical",
+      "validate.after_action": 'after_clear: unknown action "{action}"',
+      "validate.after_path": "after_clear: navigate needs a path",
+      "validate.confirmation_mode": 'confirmation: unknown mode "{mode}"',
+      "validate.pin": "confirmation: enter a PIN to use the PIN mode",
+      "validate.presets": "presets must be a list",
+      "validate.preset_name": "presets[{index}] needs a name",
+      "validate.preset_clear": "presets[{index}] needs a clear list",
+      "validate.action": "{kind}_action needs an action",
+      "validate.action_preset": '{kind}_action: no preset named "{name}"',
+      "validate.strings": "strings must map text keys to texts",
+    },
+    de: {
+      "card.title": "Nuke Storage Card",
+      "card.description":
+        "Wähle, was für diesen Ursprung gelöscht werden soll: localStorage, sessionStorage, Cookies, IndexedDB, Cache-Speicher, Service Worker, das private Dateisystem (OPFS) und Storage Buckets.",
+      "card.button": "Auswählen",
+      "type.cache": "Cache-Speicher",
+      "type.sw": "Service Worker",
+      "type.opfs": "Privates Dateisystem (OPFS)",
+      "type.cookies.note": "HttpOnly-Cookies lassen sich nicht entfernen",
+      "category.session": "Anmeldesitzung",
+      "category.ui": "Oberflächen-Einstellungen",
+      "category.identity": "Geräteidentität",
+      "category.caches": "Caches",
+      "category.card": "Nuke Storage Card",
+      "category.other": "Sonstige",
+      "key.tokens":
+        "Zugriffs- und Aktualisierungstoken; Löschen meldet dich ab",
+      "key.theme": "Design und Dunkelmodus",
+      "key.language": "Sprache der Oberfläche",
+      "key.sidebar_order": "Reihenfolge der Seitenleiste",
+      "key.sidebar_hidden": "Ausgeblendete Einträge der Seitenleiste",
+      "key.sidebar_docked": "Seitenleiste angedockt oder ausgeblendet",
+      "key.default_panel": "Dashboard beim Start",
+      "key.vibrate": "Haptisches Feedback",
+      "key.shortcuts": "Tastenkürzel",
+      "key.suspend": "Verbindung trennen, solange der Tab verborgen ist",
+      "key.browser_mod":
+        "browser_mod-Browser-ID; eine neue bedeutet ein neues Gerät",
+      "key.cache": "Zwischengespeicherte Daten, werden bei Bedarf neu erstellt",
+      "key.browser_id": "Browser-ID für Fernanfragen",
+      "key.auto_state": "Status der automatischen Bereinigung",
+      "key.rescue": "Freigabe für den URL-Notfallauslöser",
+      "state.unsupported": "{label}: nicht unterstützt",
+      "state.unsupported_idb": "{label}: Auflisten nicht unterstützt",
+      "state.unsupported_sw": "{label}: keine API / keine registriert",
+      "state.cookies": "{label}: {count} sichtbar",
+      "state.idb": {
+        one: "{label}: {count} Datenbank",
+        other: "{label}: {count} Datenbanken",
+      },
+      "state.cache": {
+        one: "{label}: {count} Cache",
+        other: "{label}: {count} Caches",
+      },
+      "state.sw": {
+        one: "{label}: {count} Registrierung",
+        other: "{label}: {count} Registrierungen",
+      },
+      "state.opfs": {
+        one: "{label}: {count} Eintrag",
+        other: "{label}: {count} Einträge",
+      },
+      "state.buckets": {
+        one: "{label}: {count} Bucket",
+        other: "{label}: {count} Buckets",
+      },
+      "state.items": {
+        one: "{label}: {count} Element",
+        other: "{label}: {count} Elemente",
+      },
+      "state.estimate": "Gesamtbelegung: {usage} (Kontingent: {quota})",
+      "step.line": "{label}: {parts} ({ms} ms)",
+      "step.error": "{label}: Fehler {error}",
+      "step.timed_out": "Zeitüberschreitung nach {seconds} s",
+      "note.kept": "behalten {names}",
+      "note.blocked": "blockiert {names}",
+      "note.remaining": "noch vorhanden {names}",
+      "note.error": "Fehler {error}",
+      "idb.success": "gelöscht",
+      "idb.blocked": "durch eine andere offene Verbindung blockiert",
+      "idb.timeout": "Zeitüberschreitung",
+      "idb.error": "fehlgeschlagen",
+      "auto.version": "Home Assistant wurde von {from} auf {to} aktualisiert",
+      "auto.quota":
+        "Die Speicherbelegung liegt bei {percent}% des Kontingents ({usage} von {quota})",
+      "auto.log": "Automatik: {message}",
+      "auto.toast": "Nuke Storage: {message}",
+      "auto.cleared": "{message}; gelöscht: {types}",
+      "auto.clearing": "Automatik: {message}; lösche {types}",
+      "auto.name": "Automatisch",
+      "tabs.notice_reload":
+        "Ein anderer Home-Assistant-Tab löscht Websitedaten. Dieser Tab wird auf Anforderung neu geladen.",
+      "tabs.notice_close":
+        "Ein anderer Home-Assistant-Tab löscht Websitedaten. Dieser Tab wird auf Anforderung geschlossen.",
+      "tabs.acked": "Andere Tabs: {count} bestätigt",
+      "tabs.missing": "Keine Antwort von: {names}",
+      "rescue.heading": "Nuke-Storage-Notfallbereinigung",
+      "rescue.countdown": "Bereinigung in {seconds} s für {origin}: {types}",
+      "rescue.running": "Wird geleert: {types}",
+      "rescue.done": "Fertig; Seite wird neu geladen ...",
+      "rescue.failed": "Leeren fehlgeschlagen: {error}",
+      "rescue.nothing": 'Keine bekannten Speicherarten in "{value}"',
+      "rescue.not_enabled":
+        "?{param} wird ignoriert: Der URL-Auslöser ist in diesem Browser nicht aktiviert.",
+      "rescue.cancel": "Abbrechen",
+      "rescue.close": "Schließen",
+      "countdown.reload": "Neu laden in {seconds} s",
+      "countdown.hard_reload": "Neu laden in {seconds} s",
+      "countdown.navigate": "Seite wird in {seconds} s verlassen",
+      "countdown.login": "Weiter zur Anmeldeseite in {seconds} s",
+      "report.title": "Nuke-Storage-Bericht für {origin}",
+      "report.times": "Gestartet {started}, beendet {finished}",
+      "report.type": "Typ",
+      "report.before": "Vorher",
+      "report.after": "Nachher",
+      "report.removed": "Entfernt",
+      "report.kept": "Behalten",
+      "report.blocked": "Blockiert",
+      "report.remaining": "Noch vorhanden",
+      "report.errors": "Fehler",
+      "report.time": "Dauer",
+      "report.notes": "Hinweise",
+      "report.cancelled": "Abgebrochen, bevor alle Schritte liefen.",
+      "report.usage": "Belegung: {before} → {after}",
+      "report.copy_json": "JSON kopieren",
+      "report.copy_markdown": "Markdown kopieren",
+      "report.copied": "{label}: kopiert",
+      "summary.removed": "{count} entfernt",
+      "summary.kept": "{count} behalten",
+      "summary.nothing": "nichts",
+      "summary.cancelled": "abgebrochen",
+      "usage.label": "Speicherbelegung nach Typ",
+      "usage.unavailable": "Keine Schätzung der Speicherbelegung verfügbar",
+      "usage.total": "{usage} von {quota}",
+      "usage.persistent_on":
+        "Dauerhafter Speicher: an (abschaltbar in den Website-Einstellungen des Browsers)",
+      "usage.persistent_off":
+        "Dauerhafter Speicher: aus (der Browser darf diese Daten entfernen)",
+      "usage.make_persistent": "Dauerhaft machen",
+      "usage.persist_granted": "Dauerhafter Speicher gewährt",
+      "usage.persist_denied":
+        "Der Browser hat dauerhaften Speicher nicht gewährt",
+      "remote.id": "Fernauslöser-ID dieses Browsers: {id}",
+      "remote.subscribe_failed":
+        "Fernauslöser: {event} kann nicht abonniert werden: {error}",
+      "remote.no_clear": "Fernauslöser: Anfrage ohne `clear` ignoriert",
+      "remote.requested": "Fernauslöser: {event} angefordert von {user}",
+      "remote.automation": "einer Automatisierung",
+      "remote.name": "Fernanforderung",
+      "action.no_preset": 'Keine Vorlage namens "{name}"',
+      "dialog.heading": "Was soll gelöscht werden?",
+      "dialog.intro": "Wähle die Datentypen, die für {origin} entfernt werden.",
+      "dialog.preview": "Vorschau der zu entfernenden Daten",
+      "dialog.backup": "Vorher eine Sicherung herunterladen",
+      "dialog.backup_note": "(Web Storage, lesbare Cookies, IndexedDB)",
+      "dialog.cancel": "Abbrechen",
+      "dialog.clear": "Löschen",
+      "dialog.nuke": "Löschen",
+      "preview.about": "(etwa {size})",
+      "preview.nothing": "Nichts ausgewählt.",
+      "preview.count": "{label}: {count} zu entfernen{size}",
+      "preview.unlisted":
+        "{label}: in diesem Browser nicht auflistbar; alles Gefundene wird entfernt",
+      "preview.kept": "Behalten: {names}",
+      "preserve.note": "Immer behalten: {list}",
+      "preset.confirm": "{name}: {types} für {origin} löschen?",
+      "lock.admin":
+        "Gesperrt: Nur Administratoren oder berechtigte Benutzer können hier Speicher löschen.",
+      "lock.users":
+        "Gesperrt: Nur berechtigte Benutzer können hier Speicher löschen.",
+      "confirm.word": "Zum Bestätigen {word} eingeben",
+      "confirm.pin": "Zum Bestätigen die PIN eingeben",
+      "confirm.hold": "Die Schaltfläche {seconds} s gedrückt halten",
+      "confirm.word_error": "Erst {word} eingeben.",
+      "confirm.wrong_pin": "Falsche PIN.",
+      "confirm.no_pin": "Es ist keine PIN konfiguriert.",
+      "confirm.pin_insecure":
+        "Die PIN-Bestätigung braucht eine sichere (https-)Verbindung.",
+      "confirm.keep_holding": "Schaltfläche weiter gedrückt halten.",
+      "common.refresh": "Aktualisieren",
+      "common.delete": "Löschen",
+      "common.delete_selected": "Auswahl löschen",
+      "common.delete_matching": "Treffer löschen",
+      "common.select_all": "Alle auswählen",
+      "common.retry": "Erneut versuchen",
+      "common.loading": "Wird geladen ...",
+      "common.empty": "Leer",
+      "common.unsupported": "Von diesem Browser nicht unterstützt",
+      "common.confirm_delete": '"{name}" aus {label} löschen?',
+      "common.removed": '"{name}" entfernt',
+      "common.remove_failed": '"{name}" konnte nicht entfernt werden: {error}',
+      "cache.inspect": "Caches untersuchen",
+      "cache.entries": { one: "{count} Eintrag", other: "{count} Einträge" },
+      "cache.entries_heading": "Einträge",
+      "cache.pattern": "URL enthält oder Glob",
+      "cache.pattern_label": "URL-Muster",
+      "cache.days": "Älter als (Tage)",
+      "cache.days_label": "Älter als Tage",
+      "cache.kb": "Größer als (KB)",
+      "cache.kb_label": "Größer als Kilobyte",
+      "cache.no_entries": "Keine Einträge",
+      "cache.unknown_type": "unbekannter Typ",
+      "cache.no_date": "kein Date-Header",
+      "cache.removed": {
+        one: '{count} Eintrag aus "{name}" entfernt',
+        other: '{count} Einträge aus "{name}" entfernt',
+      },
+      "cache.no_match": 'keine Einträge in "{name}" passen',
+      "cache.confirm_matching": {
+        one: '{count} passenden Eintrag aus "{name}" löschen?',
+        other: '{count} passende Einträge aus "{name}" löschen?',
+      },
+      "cache.confirm_delete": 'Cache "{name}" löschen?',
+      "cache.deleted": '"{name}" gelöscht',
+      "cache.delete_failed": 'Fehler beim Löschen von "{name}": {error}',
+      "cache.unsupported": "Cache-Speicher wird nicht unterstützt",
+      "cache.none": "Keine Caches",
+      "cookies.browse": "Cookies durchsuchen",
+      "cookies.limited":
+        "Dieser Browser zeigt nur Namen und Werte von Cookies. Beim Löschen werden alle Domains und Pfade probiert.",
+      "cookies.host_only": "nur Host",
+      "cookies.expires": "läuft ab {date}",
+      "cookies.session": "Sitzung",
+      "cookies.none": "Keine für Skripte sichtbaren Cookies",
+      "cookies.removed": "{removed} von {count} entfernt",
+      "cookies.remaining": "noch vorhanden: {names}",
+      "sw.manage": "Registrierungen verwalten",
+      "sw.installing": "wird installiert",
+      "sw.waiting": "wartend",
+      "sw.active": "aktiv",
+      "sw.update": "Aktualisieren",
+      "sw.skip_waiting": "Wartezeit überspringen",
+      "sw.unregister": "Abmelden",
+      "sw.failed": "{action} für {scope} fehlgeschlagen: {error}",
+      "sw.update_checked": "Update für {scope} geprüft",
+      "sw.skip_asked":
+        "wartender Worker für {scope} soll aktiviert werden; zum Verwenden neu laden",
+      "sw.confirm_unregister": "Service Worker für {scope} abmelden?",
+      "sw.unregistered": "{scope} abgemeldet",
+      "sw.unregister_failed": "{scope} konnte nicht abgemeldet werden",
+      "sw.unsupported": "Service Worker werden nicht unterstützt",
+      "sw.none": "Keine Registrierungen",
+      "idb.inspect": "Datenbanken untersuchen",
+      "idb.fallback":
+        "indexedDB.databases() ist nicht verfügbar; stattdessen werden gängige Namen geprüft.",
+      "idb.not_found": "nicht gefunden",
+      "idb.no_stores": "Keine Object Stores",
+      "idb.deleting": "Wird gelöscht ...",
+      "idb.confirm_delete": 'IndexedDB-Datenbank "{name}" löschen?',
+      "idb.none": "Keine Datenbanken",
+      "opfs.inspect": "Dateien untersuchen",
+      "opfs.folder": "Ordner",
+      "opfs.file": "Datei",
+      "buckets.inspect": "Buckets untersuchen",
+      "buckets.quota": "Kontingent {size}",
+      "buckets.persistent": "dauerhaft",
+      "keys.categories": "Kategorien",
+      "keys.browse": "Schlüssel durchsuchen",
+      "keys.search": "Schlüssel suchen",
+      "keys.select_shown": "Alle angezeigten auswählen",
+      "keys.pattern": "Präfix oder Glob, z. B. cache-*",
+      "keys.pattern_label": "Präfix- oder Glob-Muster",
+      "keys.no_match": "Keine passenden Schlüssel",
+      "keys.none": "Keine Schlüssel",
+      "keys.removed": {
+        one: "{count} Schlüssel entfernt",
+        other: "{count} Schlüssel entfernt",
+      },
+      "keys.pattern_no_match": 'keine Schlüssel passen zu "{pattern}"',
+      "keys.confirm_matching": {
+        one: '{count} {area}-Schlüssel passend zu "{pattern}" löschen?',
+        other: '{count} {area}-Schlüssel passend zu "{pattern}" löschen?',
+      },
+      "run.backup_saving": "Sicherung wird gespeichert ...",
+      "run.backup_done": "Sicherung heruntergeladen ({size})",
+      "run.backup_failed":
+        "Sicherung fehlgeschlagen, es wurde nichts gelöscht: {error}",
+      "run.clearing": "Wird gelöscht ...",
+      "run.cancelled": "Abgebrochen; die übrigen Schritte wurden übersprungen.",
+      "run.stay": "Abgebrochen; die Seite bleibt geöffnet.",
+      "history.heading": "Verlauf",
+      "history.not_saved": "Verlauf: nicht gespeichert ({error})",
+      "history.last": "Letzte Löschung",
+      "history.dismiss": "Schließen",
+      "history.not_connected": "Nicht verbunden",
+      "history.none": "Keine Läufe aufgezeichnet",
+      "progress.cancel": "Abbrechen",
+      "progress.cancelling": "Abbruch nach dem aktuellen Schritt ...",
+      "progress.count": {
+        one: "Löschen: {finished} von {count} Schritt",
+        other: "Löschen: {finished} von {count} Schritten",
+      },
+      "progress.pending": "ausstehend",
+      "progress.running": "läuft",
+      "progress.done": "fertig",
+      "progress.blocked": "blockiert",
+      "progress.failed": "fehlgeschlagen",
+      "progress.skipped": "übersprungen",
+      "log.label": "Protokoll der Löschvorgänge",
+      "backup.db_skipped":
+        'Sicherung: IndexedDB "{name}" übersprungen: {error}',
+      "restore.button": "Aus Datei wiederherstellen",
+      "restore.unreadable":
+        "Wiederherstellung: {file} kann nicht gelesen werden: {error}",
+      "restore.other_origin":
+        "Diese Sicherung stammt von {origin}, nicht von {current}. Trotzdem wiederherstellen?",
+      "restore.confirm":
+        "Die Sicherung vom {created} wiederherstellen? Gleichnamige Einträge werden überschrieben und gesicherte IndexedDB-Datenbanken ersetzt.",
+      "restore.running": "Wird wiederhergestellt ...",
+      "restore.done":
+        "Wiederhergestellt: localStorage {ls} Schlüssel, sessionStorage {ss} Schlüssel, Cookies {cookies}, IndexedDB {idb} Datenbanken",
+      "restore.failed": "Wiederherstellung fehlgeschlagen: {error}",
+      "restore.item_failed": 'Wiederherstellung: {area} "{name}": {error}',
+      "restore.db_failed": 'Wiederherstellung: IndexedDB "{name}": {error}',
+      "restore.cookies_at_root":
+        "Wiederherstellung: Die Sicherung enthält für diese Cookies keinen Pfad, sie wurden unter / wiederhergestellt: {names}",
+      "editor.title": "Titel",
+      "editor.description": "Beschreibung",
+      "editor.mode": "Darstellung",
+      "editor.mode.card": "Ganze Karte",
+      "editor.mode.tile": "Kachel",
+      "editor.mode.row": "Entitätszeile",
+      "editor.icon": "Symbol",
+      "editor.button_label": "Beschriftung der Schaltfläche",
+      "editor.default_checked": "Beim Öffnen des Dialogs angehakt",
+      "editor.default_checked_helper": "Keine Auswahl bedeutet alle Typen.",
+      "editor.display": "Protokoll und Belegung",
+      "editor.show_details": "Protokoll anzeigen",
+      "editor.show_usage": "Speicherbelegung anzeigen",
+      "editor.usage_warning": "Warnung ab (%)",
+      "editor.usage_critical": "Kritisch ab (%)",
+      "editor.usage_refresh": "Aktualisieren alle (s)",
+      "editor.after_clear": "Nach dem Löschen",
+      "editor.action": "Aktion",
+      "editor.after.none": "Auf der Seite bleiben",
+      "editor.after.reload": "Neu laden",
+      "editor.after.hard_reload": "Neu laden, Caches umgehen",
+      "editor.after.navigate": "Zu einem Pfad wechseln",
+      "editor.after.login": "Zur Anmeldeseite",
+      "editor.delay": "Verzögerung (s)",
+      "editor.countdown": "Abbrechbaren Countdown anzeigen",
+      "editor.path": "Pfad für navigate",
+      "editor.confirmation": "Bestätigung",
+      "editor.confirmation_mode": "Modus",
+      "editor.confirm.none": "Nur Dialog",
+      "editor.confirm.word": "Wort eingeben",
+      "editor.confirm.hold": "Gedrückt halten",
+      "editor.confirm.pin": "PIN",
+      "editor.word": "Wort",
+      "editor.hold_seconds": "Halten für (s)",
+      "editor.pin": "Neue PIN",
+      "editor.pin_helper":
+        "Wird beim Verlassen des Felds als ungesalzener SHA-256-Hash gespeichert, den jeder mit Lesezugriff auf dieses Dashboard umkehren kann. Schützt vor Versehen, nicht vor Absicht.",
+      "editor.access": "Wer löschen darf",
+      "editor.require_admin": "Administratoren",
+      "editor.allowed_users": "Benutzer-IDs",
+      "editor.allowed_users_helper":
+        "Jede der beiden Beschränkungen erlaubt das Löschen; keine bedeutet alle.",
+      "editor.preserve": "Immer behalten",
+      "editor.preserve_helper": "Präfixe oder Globs mit * und ?",
+      "editor.other_tabs": "Andere offene Tabs",
+      "editor.tabs.reload": "Neu laden",
+      "editor.tabs.close": "Schließen",
+      "editor.tabs.ignore": "In Ruhe lassen",
+      "editor.tabs_timeout": "Auf Antworten warten (s)",
+      "editor.remote": "Fernanfragen",
+      "editor.remote_trigger": "Auf Fernanfragen hören",
+      "editor.remote_event": "Ereignistyp",
+      "editor.url_trigger":
+        "Notfallbereinigung per URL erlauben (?nuke_storage=)",
+      "editor.url_trigger_helper":
+        "Wird in diesem Browser gespeichert und wirkt auch, wenn das Dashboard nicht lädt. Die Notfallbereinigung umgeht Sperre, PIN und Benutzerbeschränkungen; wer den Link öffnen kann, muss nur den Countdown abwarten.",
+      "editor.url_trigger_countdown": "Countdown der Notfallbereinigung (s)",
+      "editor.advanced": "Erweitert (YAML)",
+      "editor.presets": "Vorlagen",
+      "editor.tap_action": "Aktion beim Tippen",
+      "editor.hold_action": "Aktion beim Halten",
+      "editor.auto_clear": "Automatisches Löschen",
+      "editor.step_timeouts": "Zeitlimits je Schritt (s)",
+      "editor.key_catalog": "Schlüsselkatalog",
+      "editor.strings": "Texte",
+      "editor.invalid_json": "Kein gültiges JSON: {error}",
+      "editor.emit_failed": "Änderung konnte nicht übernommen werden: {error}",
+      "validate.mode": "mode muss einer von {modes} sein",
+      "validate.type": 'default_checked: unbekannter Speichertyp "{key}"',
+      "validate.usage": "usage_warning muss unter usage_critical liegen",
+      "validate.after_action": 'after_clear: unbekannte Aktion "{action}"',
+      "validate.after_path": "after_clear: navigate braucht einen Pfad",
+      "validate.confirmation_mode": 'confirmation: unbekannter Modus "{mode}"',
+      "validate.pin": "confirmation: für den PIN-Modus eine PIN eingeben",
+      "validate.presets": "presets muss eine Liste sein",
+      "validate.preset_name": "presets[{index}] braucht einen Namen",
+      "validate.preset_clear": "presets[{index}] braucht eine clear-Liste",
+      "validate.action": "{kind}_action braucht eine Aktion",
+      "validate.action_preset": '{kind}_action: keine Vorlage namens "{name}"',
+      "validate.strings": "strings muss Textschlüssel auf Texte abbilden",
+    },
+    es: {
+      "card.title": "Nuke Storage Card",
+      "card.description":
+        "Elige qué borrar para este origen: localStorage, sessionStorage, cookies, IndexedDB, almacenamiento de caché, service workers, el sistema de archivos privado (OPFS) y los buckets de almacenamiento.",
+      "card.button": "Elegir",
+      "type.cache": "Almacenamiento de caché",
+      "type.sw": "Service workers",
+      "type.opfs": "Sistema de archivos privado (OPFS)",
+      "type.buckets": "Buckets de almacenamiento",
+      "type.cookies.note": "las cookies HttpOnly no se pueden eliminar",
+      "category.session": "Sesión iniciada",
+      "category.ui": "Preferencias de la interfaz",
+      "category.identity": "Identidad del dispositivo",
+      "category.caches": "Cachés",
+      "category.card": "Nuke Storage Card",
+      "category.other": "Otras",
+      "key.tokens":
+        "Tokens de acceso y actualización; borrarlos cierra la sesión",
+      "key.theme": "Tema y modo oscuro",
+      "key.language": "Idioma de la interfaz",
+      "key.sidebar_order": "Orden de la barra lateral",
+      "key.sidebar_hidden": "Elementos ocultos de la barra lateral",
+      "key.sidebar_docked": "Barra lateral fijada u oculta",
+      "key.default_panel": "Panel que se abre al inicio",
+      "key.vibrate": "Respuesta háptica",
+      "key.shortcuts": "Atajos de teclado",
+      "key.suspend": "Desconectar mientras la pestaña está oculta",
+      "key.browser_mod":
+        "ID de navegador de browser_mod; uno nuevo significa un dispositivo nuevo",
+      "key.cache": "Datos en caché, se regeneran cuando hace falta",
+      "key.browser_id": "ID del navegador para solicitudes remotas",
+      "key.auto_state": "Estado del borrado automático",
+      "key.rescue": "Permiso del activador de rescate por URL",
+      "state.unsupported": "{label}: no compatible",
+      "state.unsupported_idb": "{label}: no se puede enumerar",
+      "state.unsupported_sw": "{label}: sin API / ninguno registrado",
+      "state.cookies": "{label}: {count} visibles",
+      "state.idb": {
+        one: "{label}: {count} base de datos",
+        other: "{label}: {count} bases de datos",
+      },
+      "state.cache": {
+        one: "{label}: {count} caché",
+        other: "{label}: {count} cachés",
+      },
+      "state.sw": {
+        one: "{label}: {count} registro",
+        other: "{label}: {count} registros",
+      },
+      "state.opfs": {
+        one: "{label}: {count} entrada",
+        other: "{label}: {count} entradas",
+      },
+      "state.buckets": {
+        one: "{label}: {count} bucket",
+        other: "{label}: {count} buckets",
+      },
+      "state.items": {
+        one: "{label}: {count} elemento",
+        other: "{label}: {count} elementos",
+      },
+      "state.estimate": "Uso total: {usage} (cuota: {quota})",
+      "step.line": "{label}: {parts} ({ms} ms)",
+      "step.error": "{label}: error {error}",
+      "step.timed_out": "tiempo agotado tras {seconds} s",
+      "note.kept": "conservado {names}",
+      "note.blocked": "bloqueado {names}",
+      "note.remaining": "aún presente {names}",
+      "note.error": "error {error}",
+      "idb.success": "eliminada",
+      "idb.blocked": "bloqueada por otra conexión abierta",
+      "idb.timeout": "tiempo agotado",
+      "idb.error": "error",
+      "auto.version": "Home Assistant cambió de {from} a {to}",
+      "auto.quota":
+        "El almacenamiento usa el {percent}% de la cuota ({usage} de {quota})",
+      "auto.log": "Automático: {message}",
+      "auto.toast": "Nuke Storage: {message}",
+      "auto.cleared": "{message}; borrado: {types}",
+      "auto.clearing": "Automático: {message}; borrando {types}",
+      "auto.name": "Automático",
+      "tabs.notice_reload":
+        "Otra pestaña de Home Assistant está borrando datos del sitio. Esta pestaña se recargará cuando se le pida.",
+      "tabs.notice_close":
+        "Otra pestaña de Home Assistant está borrando datos del sitio. Esta pestaña se cerrará cuando se le pida.",
+      "tabs.acked": "Otras pestañas: {count} confirmadas",
+      "tabs.missing": "Sin respuesta de: {names}",
+      "rescue.heading": "Rescate de Nuke Storage",
+      "rescue.countdown": "Borrado en {seconds} s para {origin}: {types}",
+      "rescue.running": "Borrando: {types}",
+      "rescue.done": "Listo; recargando ...",
+      "rescue.failed": "Error al borrar: {error}",
+      "rescue.nothing": 'No hay tipos de almacenamiento conocidos en "{value}"',
+      "rescue.not_enabled":
+        "?{param} se ignora: el activador por URL no está activado en este navegador.",
+      "rescue.cancel": "Cancelar",
+      "rescue.close": "Cerrar",
+      "countdown.reload": "Recargando en {seconds} s",
+      "countdown.hard_reload": "Recargando en {seconds} s",
+      "countdown.navigate": "Saliendo de esta página en {seconds} s",
+      "countdown.login": "Yendo a la página de inicio de sesión en {seconds} s",
+      "report.title": "Informe de Nuke Storage para {origin}",
+      "report.times": "Iniciado {started}, terminado {finished}",
+      "report.type": "Tipo",
+      "report.before": "Antes",
+      "report.after": "Después",
+      "report.removed": "Eliminados",
+      "report.kept": "Conservados",
+      "report.blocked": "Bloqueados",
+      "report.remaining": "Aún presentes",
+      "report.errors": "Errores",
+      "report.time": "Tiempo",
+      "report.notes": "Notas",
+      "report.cancelled": "Cancelado antes de ejecutar todos los pasos.",
+      "report.usage": "Uso: {before} → {after}",
+      "report.copy_json": "Copiar JSON",
+      "report.copy_markdown": "Copiar Markdown",
+      "report.copied": "{label}: copiado",
+      "summary.removed": "eliminados {count}",
+      "summary.kept": "conservados {count}",
+      "summary.nothing": "nada",
+      "summary.cancelled": "cancelado",
+      "usage.label": "Uso de almacenamiento por tipo",
+      "usage.unavailable": "Estimación de uso no disponible",
+      "usage.total": "{usage} de {quota}",
+      "usage.persistent_on":
+        "Almacenamiento persistente: activado (se quita en la configuración del sitio del navegador)",
+      "usage.persistent_off":
+        "Almacenamiento persistente: desactivado (el navegador puede borrar estos datos)",
+      "usage.make_persistent": "Hacer persistente",
+      "usage.persist_granted": "Almacenamiento persistente concedido",
+      "usage.persist_denied":
+        "El navegador no concedió el almacenamiento persistente",
+      "remote.id": "ID de activación remota de este navegador: {id}",
+      "remote.subscribe_failed":
+        "Activación remota: no se puede suscribir a {event}: {error}",
+      "remote.no_clear": "Activación remota: solicitud sin `clear` ignorada",
+      "remote.requested": "Activación remota: {event} solicitado por {user}",
+      "remote.automation": "una automatización",
+      "remote.name": "Solicitud remota",
+      "action.no_preset": 'No hay ningún ajuste predefinido llamado "{name}"',
+      "dialog.heading": "¿Qué debemos borrar?",
+      "dialog.intro":
+        "Elige los tipos de datos que se eliminarán para {origin}.",
+      "dialog.preview": "Vista previa de lo que se eliminará",
+      "dialog.backup": "Descargar antes una copia de seguridad",
+      "dialog.backup_note": "(web storage, cookies legibles, IndexedDB)",
+      "dialog.cancel": "Cancelar",
+      "dialog.clear": "Borrar",
+      "dialog.nuke": "Borrar",
+      "preview.about": "(unos {size})",
+      "preview.nothing": "No hay nada seleccionado.",
+      "preview.count": "{label}: {count} por eliminar{size}",
+      "preview.unlisted":
+        "{label}: no se puede listar en este navegador; se elimina todo lo que se encuentre",
+      "preview.kept": "Se conservan: {names}",
+      "preserve.note": "Siempre se conservan: {list}",
+      "preset.confirm": "{name}: ¿borrar {types} para {origin}?",
+      "lock.admin":
+        "Bloqueado: solo los administradores o los usuarios permitidos pueden borrar el almacenamiento aquí.",
+      "lock.users":
+        "Bloqueado: solo los usuarios permitidos pueden borrar el almacenamiento aquí.",
+      "confirm.word": "Escribe {word} para confirmar",
+      "confirm.pin": "Introduce el PIN para confirmar",
+      "confirm.hold": "Mantén pulsado el botón durante {seconds} s",
+      "confirm.word_error": "Escribe {word} primero.",
+      "confirm.wrong_pin": "PIN incorrecto.",
+      "confirm.no_pin": "No hay ningún PIN configurado.",
+      "confirm.pin_insecure":
+        "La confirmación por PIN necesita una conexión segura (https).",
+      "confirm.keep_holding": "Sigue manteniendo pulsado el botón.",
+      "common.refresh": "Actualizar",
+      "common.delete": "Eliminar",
+      "common.delete_selected": "Eliminar selección",
+      "common.delete_matching": "Eliminar coincidencias",
+      "common.select_all": "Seleccionar todo",
+      "common.retry": "Reintentar",
+      "common.loading": "Cargando ...",
+      "common.empty": "Vacío",
+      "common.unsupported": "No compatible con este navegador",
+      "common.confirm_delete": '¿Eliminar "{name}" de {label}?',
+      "common.removed": '"{name}" eliminado',
+      "common.remove_failed": 'no se pudo eliminar "{name}": {error}',
+      "cache.inspect": "Inspeccionar cachés",
+      "cache.entries": { one: "{count} entrada", other: "{count} entradas" },
+      "cache.entries_heading": "Entradas",
+      "cache.pattern": "La URL contiene o glob",
+      "cache.pattern_label": "Patrón de URL",
+      "cache.days": "Más antiguas que (días)",
+      "cache.days_label": "Más antiguas que días",
+      "cache.kb": "Más grandes que (KB)",
+      "cache.kb_label": "Más grandes que kilobytes",
+      "cache.no_entries": "Sin entradas",
+      "cache.unknown_type": "tipo desconocido",
+      "cache.no_date": "sin cabecera Date",
+      "cache.removed": {
+        one: 'eliminada {count} entrada de "{name}"',
+        other: 'eliminadas {count} entradas de "{name}"',
+      },
+      "cache.no_match": 'ninguna entrada de "{name}" coincide',
+      "cache.confirm_matching": {
+        one: '¿Eliminar {count} entrada coincidente de "{name}"?',
+        other: '¿Eliminar {count} entradas coincidentes de "{name}"?',
+      },
+      "cache.confirm_delete": '¿Eliminar la caché "{name}"?',
+      "cache.deleted": '"{name}" eliminada',
+      "cache.delete_failed": 'error al eliminar "{name}": {error}',
+      "cache.unsupported": "El almacenamiento de caché no es compatible",
+      "cache.none": "No hay cachés",
+      "cookies.browse": "Explorar cookies",
+      "cookies.limited":
+        "Este navegador solo muestra los nombres y valores de las cookies. Al eliminar se prueban todos los dominios y rutas.",
+      "cookies.host_only": "solo host",
+      "cookies.expires": "caduca {date}",
+      "cookies.session": "sesión",
+      "cookies.none": "No hay cookies visibles para los scripts",
+      "cookies.removed": "eliminadas {removed} de {count}",
+      "cookies.remaining": "aún presentes: {names}",
+      "sw.manage": "Gestionar registros",
+      "sw.installing": "instalando",
+      "sw.waiting": "en espera",
+      "sw.active": "activo",
+      "sw.update": "Actualizar",
+      "sw.skip_waiting": "Omitir espera",
+      "sw.unregister": "Anular registro",
+      "sw.failed": "{action} falló para {scope}: {error}",
+      "sw.update_checked": "actualización comprobada para {scope}",
+      "sw.skip_asked":
+        "se pidió al worker en espera de {scope} que se active; recarga para usarlo",
+      "sw.confirm_unregister":
+        "¿Anular el registro del service worker de {scope}?",
+      "sw.unregistered": "registro anulado: {scope}",
+      "sw.unregister_failed": "no se pudo anular el registro de {scope}",
+      "sw.unsupported": "Los service workers no son compatibles",
+      "sw.none": "No hay registros",
+      "idb.inspect": "Inspeccionar bases de datos",
+      "idb.fallback":
+        "indexedDB.databases() no está disponible; se comprueban nombres habituales.",
+      "idb.not_found": "no encontrada",
+      "idb.no_stores": "Sin almacenes de objetos",
+      "idb.deleting": "Eliminando ...",
+      "idb.confirm_delete": '¿Eliminar la base de datos IndexedDB "{name}"?',
+      "idb.none": "No hay bases de datos",
+      "opfs.inspect": "Inspeccionar archivos",
+      "opfs.folder": "carpeta",
+      "opfs.file": "archivo",
+      "buckets.inspect": "Inspeccionar buckets",
+      "buckets.quota": "cuota {size}",
+      "buckets.persistent": "persistente",
+      "keys.categories": "Categorías",
+      "keys.browse": "Explorar claves",
+      "keys.search": "Buscar claves",
+      "keys.select_shown": "Seleccionar todas las mostradas",
+      "keys.pattern": "Prefijo o glob, p. ej. cache-*",
+      "keys.pattern_label": "Patrón de prefijo o glob",
+      "keys.no_match": "Ninguna clave coincide",
+      "keys.none": "No hay claves",
+      "keys.removed": {
+        one: "eliminada {count} clave",
+        other: "eliminadas {count} claves",
+      },
+      "keys.pattern_no_match": 'ninguna clave coincide con "{pattern}"',
+      "keys.confirm_matching": {
+        one: '¿Eliminar {count} clave de {area} que coincide con "{pattern}"?',
+        other:
+          '¿Eliminar {count} claves de {area} que coinciden con "{pattern}"?',
+      },
+      "run.backup_saving": "Guardando copia de seguridad ...",
+      "run.backup_done": "Copia de seguridad descargada ({size})",
+      "run.backup_failed":
+        "La copia de seguridad falló, no se borró nada: {error}",
+      "run.clearing": "Borrando ...",
+      "run.cancelled": "Cancelado; se omitieron los pasos restantes.",
+      "run.stay": "Cancelado; se permanece en esta página.",
+      "history.heading": "Historial",
+      "history.not_saved": "Historial: no guardado ({error})",
+      "history.last": "Último borrado",
+      "history.dismiss": "Descartar",
+      "history.not_connected": "Sin conexión",
+      "history.none": "No hay ejecuciones registradas",
+      "progress.cancel": "Cancelar",
+      "progress.cancelling": "Cancelando después del paso actual ...",
+      "progress.count": {
+        one: "Borrando: {finished} de {count} paso",
+        other: "Borrando: {finished} de {count} pasos",
+      },
+      "progress.pending": "pendiente",
+      "progress.running": "en curso",
+      "progress.done": "hecho",
+      "progress.blocked": "bloqueado",
+      "progress.failed": "fallido",
+      "progress.skipped": "omitido",
+      "log.label": "Registro de las operaciones de borrado",
+      "backup.db_skipped":
+        'Copia de seguridad: IndexedDB "{name}" omitida: {error}',
+      "restore.button": "Restaurar desde archivo",
+      "restore.unreadable": "Restaurar: no se puede leer {file}: {error}",
+      "restore.other_origin":
+        "Esta copia se hizo en {origin}, no en {current}. ¿Restaurar de todos modos?",
+      "restore.confirm":
+        "¿Restaurar la copia de seguridad de {created}? Los elementos con el mismo nombre se sobrescriben y las bases de datos IndexedDB incluidas se reemplazan.",
+      "restore.running": "Restaurando ...",
+      "restore.done":
+        "Restaurado: localStorage {ls} claves, sessionStorage {ss} claves, cookies {cookies}, IndexedDB {idb} bases de datos",
+      "restore.failed": "La restauración falló: {error}",
+      "restore.item_failed": 'Restaurar: {area} "{name}": {error}',
+      "restore.db_failed": 'Restaurar: IndexedDB "{name}": {error}',
+      "restore.cookies_at_root":
+        "Restaurar: la copia no indica la ruta de estas cookies, así que se restauraron en /: {names}",
+      "editor.title": "Título",
+      "editor.description": "Descripción",
+      "editor.mode": "Modo de visualización",
+      "editor.mode.card": "Tarjeta completa",
+      "editor.mode.tile": "Mosaico",
+      "editor.mode.row": "Fila de entidad",
+      "editor.icon": "Icono",
+      "editor.button_label": "Texto del botón",
+      "editor.default_checked": "Marcados al abrir el diálogo",
+      "editor.default_checked_helper":
+        "Ninguno marcado significa todos los tipos.",
+      "editor.display": "Registro y uso",
+      "editor.show_details": "Mostrar registro",
+      "editor.show_usage": "Mostrar uso de almacenamiento",
+      "editor.usage_warning": "Aviso a partir de (%)",
+      "editor.usage_critical": "Crítico a partir de (%)",
+      "editor.usage_refresh": "Actualizar cada (s)",
+      "editor.after_clear": "Después de borrar",
+      "editor.action": "Acción",
+      "editor.after.none": "Quedarse en la página",
+      "editor.after.reload": "Recargar",
+      "editor.after.hard_reload": "Recargar sin cachés",
+      "editor.after.navigate": "Ir a una ruta",
+      "editor.after.login": "Ir a la página de inicio de sesión",
+      "editor.delay": "Retraso (s)",
+      "editor.countdown": "Mostrar una cuenta atrás cancelable",
+      "editor.path": "Ruta para navigate",
+      "editor.confirmation": "Confirmación",
+      "editor.confirmation_mode": "Modo",
+      "editor.confirm.none": "Solo el diálogo",
+      "editor.confirm.word": "Escribir una palabra",
+      "editor.confirm.hold": "Mantener pulsado",
+      "editor.confirm.pin": "PIN",
+      "editor.word": "Palabra",
+      "editor.hold_seconds": "Mantener durante (s)",
+      "editor.pin": "PIN nuevo",
+      "editor.pin_helper":
+        "Se guarda al salir del campo, como hash SHA-256 sin sal que cualquiera que pueda leer este panel puede revertir. Evita accidentes, no a usuarios decididos.",
+      "editor.access": "Quién puede borrar",
+      "editor.require_admin": "Administradores",
+      "editor.allowed_users": "ID de usuario",
+      "editor.allowed_users_helper":
+        "Cualquiera de las restricciones permite borrar; sin ninguna, todos pueden.",
+      "editor.preserve": "Conservar siempre",
+      "editor.preserve_helper": "Prefijos o globs con * y ?",
+      "editor.other_tabs": "Otras pestañas abiertas",
+      "editor.tabs.reload": "Recargarlas",
+      "editor.tabs.close": "Cerrarlas",
+      "editor.tabs.ignore": "Dejarlas como están",
+      "editor.tabs_timeout": "Esperar respuestas (s)",
+      "editor.remote": "Solicitudes remotas",
+      "editor.remote_trigger": "Escuchar solicitudes remotas",
+      "editor.remote_event": "Tipo de evento",
+      "editor.url_trigger": "Permitir el rescate por URL (?nuke_storage=)",
+      "editor.url_trigger_helper":
+        "Se guarda en este navegador y funciona aunque el panel no cargue. El rescate omite el bloqueo, el PIN y las restricciones de usuario; quien pueda abrir el enlace solo tiene que esperar la cuenta atrás.",
+      "editor.url_trigger_countdown": "Cuenta atrás del rescate (s)",
+      "editor.advanced": "Avanzado (YAML)",
+      "editor.presets": "Ajustes predefinidos",
+      "editor.tap_action": "Acción al tocar",
+      "editor.hold_action": "Acción al mantener",
+      "editor.auto_clear": "Borrado automático",
+      "editor.step_timeouts": "Tiempos límite por paso (s)",
+      "editor.key_catalog": "Catálogo de claves",
+      "editor.strings": "Textos",
+      "editor.invalid_json": "JSON no válido: {error}",
+      "editor.emit_failed": "No se pudo aplicar el cambio: {error}",
+      "validate.mode": "mode debe ser uno de {modes}",
+      "validate.type":
+        'default_checked: tipo de almacenamiento desconocido "{key}"',
+      "validate.usage": "usage_warning debe ser menor que usage_critical",
+      "validate.after_action": 'after_clear: acción desconocida "{action}"',
+      "validate.after_path": "after_clear: navigate necesita una ruta",
+      "validate.confirmation_mode": 'confirmation: modo desconocido "{mode}"',
+      "validate.pin": "confirmation: introduce un PIN para usar el modo PIN",
+      "validate.presets": "presets debe ser una lista",
+      "validate.preset_name": "presets[{index}] necesita un nombre",
+      "validate.preset_clear": "presets[{index}] necesita una lista clear",
+      "validate.action": "{kind}_action necesita una acción",
+      "validate.action_preset":
+        '{kind}_action: no hay ningún ajuste predefinido llamado "{name}"',
+      "validate.strings": "strings debe asignar textos a claves de texto",
+    },
+  };
+
+  // Language of the HA frontend ("de-CH" uses "de"), English when there is
+  // no translation for it.
+  const resolveLanguage = (hass) => {
+    const tag = String(hass?.locale?.language || hass?.language || "en");
+    const base = tag.toLowerCase().split("-")[0];
+    return TRANSLATIONS[base] ? base : "en";
+  };
+
+  // tr(key, vars) for `lang` with `overrides` taking precedence.
+  const makeTranslator = (lang, overrides = {}) => {
+    const table = TRANSLATIONS[lang] || TRANSLATIONS.en;
+    const rules = new Intl.PluralRules(lang);
+    const lookup = (key) =>
+      overrides[key] ?? table[key] ?? TRANSLATIONS.en[key];
+    const tr = (key, vars = {}) => {
+      let text = lookup(key) ?? key;
+      if (text && typeof text === "object")
+        text = text[rules.select(Number(vars.count) || 0)] ?? text.other ?? key;
+      return String(text).replace(/\{(\w+)\}/g, (m, name) =>
+        name in vars ? String(vars[name]) : m
+      );
+    };
+    tr.has = (key) => lookup(key) !== undefined;
+    tr.lang = lang;
+    return tr;
+  };
+
+  // For texts produced outside a card (API runs, notices from other tabs);
+  // follows the language of the last hass seen.
+  let defaultTr = makeTranslator("en");
+
+  const useLanguage = (lang) => {
+    if (defaultTr.lang !== lang) defaultTr = makeTranslator(lang);
   };
 
+  const typeLabel = (id, tr = defaultTr) =>
+    tr.has(`type.${id}`)
+      ? tr(`type.${id}`)
+      : STORAGE_TYPES.find((t) => t.id === id)?.label || id;
+
+  const typeNote = (type, tr = defaultTr) =>
+    tr.has(`type.${type.id}.note`) ? tr(`type.${type.id}.note`) : type.note;
+
   const formatBytes = (n) => {
     if (n === undefined || n === null) return "n/a";
     const k = 1024;
@@ -20,639 +1308,6122 @@
     return `${(n / Math.pow(k, i)).toFixed(2)} ${u[i]}`;
   };
 
-  const clearLocalStorage = async (log) => {
-    try {
-      localStorage.clear();
+  // Glob with * and ? wildcards, anchored at both ends.
+  const globToRegExp = (glob) =>
+    new RegExp(
+      "^" +
+        String(glob)
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")
+          .replace(/\?/g, ".") +
+        "$"
+    );
+
+  const toPatternList = (v) =>
+    (Array.isArray(v) ? v : v == null ? [] : String(v).split("\n"))
+      .map((p) => String(p).trim())
+      .filter(Boolean);
+
+  // Build { [type id]: (name) => boolean } from the `preserve:` config.
+  // Patterns match whole names; * and ? are wildcards.
+  const preserveMatchers = (preserve) => {
+    const out = {};
+    for (const t of STORAGE_TYPES) {
+      if (!t.preservable) continue;
+      const res = toPatternList(preserve?.[t.key]).map(globToRegExp);
+      out[t.id] = (name) => res.some((re) => re.test(name));
+    }
+    const userKeepsLs = out.ls;
+    out.ls = (name) => CARD_KEYS.includes(name) || userKeepsLs(name);
+    return out;
+  };
+
+  const keepNothing = () => false;
+
+  // Combine two `preserve:` configs; patterns of both apply.
+  const mergePreserve = (a, b) => {
+    const out = {};
+    for (const t of STORAGE_TYPES) {
+      if (!t.preservable) continue;
+      const patterns = [
+        ...toPatternList(a?.[t.key]),
+        ...toPatternList(b?.[t.key]),
+      ];
+      if (patterns.length) out[t.key] = patterns;
+    }
+    return out;
+  };
+
+  // Type ids for a list of config keys ("local_storage", ...) or "all".
+  // Unset means all types.
+  const resolveTypes = (keys) => {
+    if (keys === undefined || keys === null || keys === "all")
+      return new Set(STORAGE_TYPES.map((t) => t.id));
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.includes("all")) return new Set(STORAGE_TYPES.map((t) => t.id));
+    return new Set(
+      STORAGE_TYPES.filter((t) => list.includes(t.key)).map((t) => t.id)
+    );
+  };
+
+  // A bare pattern (no wildcards) is treated as a prefix.
+  const matchesPrefixOrGlob = (name, pattern) => {
+    if (!pattern) return false;
+    if (!/[*?]/.test(pattern)) return name.startsWith(pattern);
+    return globToRegExp(pattern).test(name);
+  };
+
+  const makeButton = (label, className = "") => {
+    const tag = customElements.get("ha-button") ? "ha-button" : "button";
+    const btn = document.createElement(tag);
+    if (tag === "button") btn.className = `fallback ${className}`.trim();
+    btn.textContent = label;
+    if (tag === "ha-button") {
+      btn.label = label;
+      if (className) btn.setAttribute("appearance", className);
+    }
+    return btn;
+  };
+
+  // Replaces the contents of a list with a single placeholder line.
+  const showEmpty = (list, text) => {
+    const el = document.createElement("div");
+    el.className = "empty";
+    el.textContent = text;
+    list.replaceChildren(el);
+  };
+
+  // Sets an input's placeholder and accessible name.
+  const setHint = (input, placeholder, label) => {
+    input.placeholder = placeholder;
+    input.setAttribute("aria-label", label);
+  };
+
+  // -------- Web storage keys --------
+  const PREVIEW_CHARS = 80;
+
+  const webStorageFor = (area) =>
+    area === "ss" ? sessionStorage : localStorage;
+
+  const listWebStorage = (storage) => {
+    const items = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key === null) continue;
+      const value = storage.getItem(key) ?? "";
+      items.push({
+        key,
+        // Browsers account web storage as UTF-16: two bytes per code unit.
+        bytes: (key.length + value.length) * 2,
+        preview:
+          value.length > PREVIEW_CHARS
+            ? value.slice(0, PREVIEW_CHARS) + "…"
+            : value,
+      });
+    }
+    return items.sort((a, b) => a.key.localeCompare(b.key));
+  };
+
+  const removeWebStorageKeys = (storage, keys) => {
+    const removed = [];
+    const errors = [];
+    for (const key of keys) {
       try {
-        for (const k of Object.keys(localStorage)) localStorage.removeItem(k);
-      } catch {}
-    } catch (e) {
-      log(`localStorage: error ${e}`);
+        storage.removeItem(key);
+        removed.push(key);
+      } catch (e) {
+        errors.push(`${key}: ${e}`);
+      }
+    }
+    return { removed, errors };
+  };
+
+  // -------- Known frontend keys --------
+  // Web storage keys written by the HA frontend and common add-ons, grouped
+  // so that part of localStorage can be cleared without logging out. A key
+  // without wildcards matches as a prefix (`browser_mod-`), otherwise as a
+  // glob over the whole name; `preserve:` patterns always match the whole
+  // name. The first match wins. Labels are category.<id> and descriptions
+  // key.<text> in TRANSLATIONS.
+  const KEY_CATEGORIES = [
+    { id: "session", keys: [{ key: "hassTokens", text: "tokens" }] },
+    {
+      id: "ui",
+      keys: [
+        { key: "selectedTheme", text: "theme" },
+        { key: "selectedLanguage", text: "language" },
+        { key: "sidebarPanelOrder", text: "sidebar_order" },
+        { key: "sidebarHiddenPanels", text: "sidebar_hidden" },
+        { key: "dockedSidebar", text: "sidebar_docked" },
+        { key: "defaultPanel", text: "default_panel" },
+        { key: "vibrate", text: "vibrate" },
+        { key: "enableShortcuts", text: "shortcuts" },
+        { key: "suspendWhenHidden", text: "suspend" },
+      ],
+    },
+    { id: "identity", keys: [{ key: "browser_mod-", text: "browser_mod" }] },
+    {
+      id: "caches",
+      keys: [
+        { key: "*cache*", text: "cache" },
+        { key: "*Cache*", text: "cache" },
+      ],
+    },
+    {
+      id: "card",
+      keys: [
+        { key: BROWSER_ID_KEY, text: "browser_id" },
+        { key: AUTO_STATE_KEY, text: "auto_state" },
+        { key: RESCUE_KEY, text: "rescue" },
+      ],
+    },
+  ];
+
+  const OTHER_CATEGORY = { id: "other", keys: [] };
+
+  // Built-in categories plus `key_catalog:` entries of the form
+  // { category, label?, keys: [key | { key, description }] }. Keys for an
+  // existing category go first so they can reclassify built-in matches.
+  const buildKeyCatalog = (extra, tr = defaultTr) => {
+    // Unlike asList, keeps the entries as they are.
+    const listOf = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+    const catalog = KEY_CATEGORIES.map((c) => ({
+      id: c.id,
+      label: tr(`category.${c.id}`),
+      keys: c.keys.map((k) => ({
+        key: k.key,
+        description: tr(`key.${k.text}`),
+      })),
+    }));
+    for (const entry of listOf(extra)) {
+      const id = String(entry?.category || "").trim();
+      if (!id || id === OTHER_CATEGORY.id) continue;
+      const keys = listOf(entry.keys).map((k) =>
+        typeof k === "string"
+          ? { key: k, description: "" }
+          : {
+              key: String(k?.key || ""),
+              description: String(k?.description || ""),
+            }
+      );
+      let cat = catalog.find((c) => c.id === id);
+      if (!cat) {
+        cat = { id, label: id, keys: [] };
+        catalog.push(cat);
+      }
+      if (entry.label) cat.label = String(entry.label);
+      cat.keys.unshift(...keys.filter((k) => k.key));
+    }
+    catalog.push({ ...OTHER_CATEGORY, label: tr("category.other") });
+    return catalog;
+  };
+
+  // { category, description } for a key; unknown keys land in "other".
+  const classifyKey = (catalog, name) => {
+    for (const cat of catalog) {
+      const hit = cat.keys.find((k) => matchesPrefixOrGlob(name, k.key));
+      if (hit) return { category: cat, description: hit.description };
+    }
+    return { category: OTHER_CATEGORY, description: "" };
+  };
+
+  // Narrow localStorage clearing to the given category ids by keeping every
+  // key outside them. Without categories `keep` is returned unchanged.
+  const limitToCategories = (keep, catalog, categories) => {
+    if (!categories) return keep;
+    const wanted = new Set(asList(categories));
+    const keepLs = keep.ls || keepNothing;
+    return {
+      ...keep,
+      ls: (name) =>
+        keepLs(name) || !wanted.has(classifyKey(catalog, name).category.id),
+    };
+  };
+
+  // -------- Cookies --------
+  // cookieStore reports domain, path, expiry and SameSite per cookie and
+  // deletes exactly one at a time. Without it only the name=value pairs of
+  // document.cookie are visible, and deletion has to expire each name for
+  // every domain and path the cookie might have been set with.
+  const hasCookieStore = () => !!window.cookieStore?.getAll;
+
+  const cookieId = (c) => `${c.name}|${c.domain || ""}|${c.path || ""}`;
+
+  const describeCookie = (c) =>
+    c.domain || c.path
+      ? `${c.name} (${[c.domain, c.path].filter(Boolean).join(" ")})`
+      : c.name;
+
+  // Resolves { cookies, detailed }. Each cookie is { name, value, domain,
+  // path, expires, sameSite, secure, partitioned, bytes }; fields the
+  // browser does not expose are null and `detailed` is false.
+  const listCookies = async () => {
+    if (hasCookieStore()) {
+      const list = await window.cookieStore.getAll();
+      return {
+        detailed: true,
+        cookies: list.map((c) => ({
+          name: c.name,
+          value: c.value,
+          domain: c.domain ?? null,
+          path: c.path ?? null,
+          expires: c.expires ?? null,
+          sameSite: c.sameSite ?? null,
+          secure: c.secure ?? null,
+          partitioned: !!c.partitioned,
+          bytes: c.name.length + c.value.length,
+        })),
+      };
+    }
+    const cookies = [];
+    for (const part of document.cookie ? document.cookie.split(";") : []) {
+      const eq = part.indexOf("=");
+      const name = (eq < 0 ? part : part.slice(0, eq)).trim();
+      if (!name) continue;
+      const value = eq < 0 ? "" : part.slice(eq + 1).trim();
+      cookies.push({
+        name,
+        value,
+        domain: null,
+        path: null,
+        expires: null,
+        sameSite: null,
+        secure: null,
+        partitioned: false,
+        bytes: name.length + value.length,
+      });
+    }
+    return { detailed: false, cookies };
+  };
+
+  // Fallback deletion: expire `names` for every domain and path variant of
+  // the current page.
+  const expireCookiesByName = (names) => {
+    const hostParts = location.hostname.split(".").filter(Boolean);
+    const domainVariants = [];
+    for (let i = 0; i < hostParts.length; i++) {
+      const d = hostParts.slice(i).join(".");
+      domainVariants.push(d, "." + d);
+    }
+    const pathVariants = (() => {
+      const segs = location.pathname.split("/").filter(Boolean);
+      const paths = ["/"];
+      let curr = "";
+      for (const s of segs) {
+        curr += "/" + s;
+        paths.push(curr);
+      }
+      return Array.from(new Set(paths));
+    })();
+
+    const expireStr = "expires=Thu, 01 Jan 1970 00:00:00 GMT; Max-Age=0";
+    const secure = location.protocol === "https:" ? "; Secure" : "";
+
+    for (const name of names) {
+      for (const path of pathVariants) {
+        document.cookie = `${name}=; ${expireStr}; path=${path}${secure}`;
+        for (const domain of domainVariants) {
+          document.cookie = `${name}=; ${expireStr}; path=${path}; domain=${domain}${secure}`;
+        }
+      }
+    }
+  };
+
+  // Delete the given cookies (as returned by listCookies). Resolves
+  // { errors, remaining }, where remaining are the targeted cookies that are
+  // still present afterwards.
+  const deleteCookies = async (cookies) => {
+    const errors = [];
+    if (hasCookieStore()) {
+      for (const c of cookies) {
+        const opts = { name: c.name, path: c.path || "/" };
+        if (c.domain) opts.domain = c.domain;
+        if (c.partitioned) opts.partitioned = true;
+        try {
+          await window.cookieStore.delete(opts);
+        } catch (e) {
+          errors.push(`${c.name}: ${e}`);
+        }
+      }
+    } else {
+      try {
+        expireCookiesByName([...new Set(cookies.map((c) => c.name))]);
+      } catch (e) {
+        errors.push(String(e));
+      }
     }
+    const targets = new Set(cookies.map(cookieId));
+    const { cookies: after } = await listCookies();
+    return { errors, remaining: after.filter((c) => targets.has(cookieId(c))) };
   };
 
-  const clearSessionStorage = async (log) => {
+  // -------- Clearing --------
+  // Every clear* function takes a `keep` predicate and resolves
+  // { skipped, errors, blocked }: names kept by the preserve list, error
+  // messages and names that could not be removed right now. A clearer that
+  // can describe leftovers better than their names adds `remaining`.
+  // runClearStep adds the before/after state and timing.
+  const clearOutcome = () => ({ skipped: [], errors: [], blocked: [] });
+
+  const clearWebStorage = (storage, keep = keepNothing) => {
+    const out = clearOutcome();
     try {
-      sessionStorage.clear();
+      const keys = Object.keys(storage);
+      for (const k of keys) if (keep(k)) out.skipped.push(k);
+      if (!out.skipped.length) storage.clear();
       try {
-        for (const k of Object.keys(sessionStorage))
-          sessionStorage.removeItem(k);
+        for (const k of Object.keys(storage)) {
+          if (!keep(k)) storage.removeItem(k);
+        }
       } catch {}
     } catch (e) {
-      log(`sessionStorage: error ${e}`);
+      out.errors.push(String(e));
     }
+    return out;
   };
 
-  const clearCookies = async (log) => {
-    try {
-      const cookies = document.cookie ? document.cookie.split(";") : [];
-      const names = cookies.map((c) => c.split("=")[0].trim()).filter(Boolean);
-      if (!names.length) return;
+  const clearLocalStorage = async (keep) => clearWebStorage(localStorage, keep);
 
-      const hostParts = location.hostname.split(".").filter(Boolean);
-      const domainVariants = [];
-      for (let i = 0; i < hostParts.length; i++) {
-        const d = hostParts.slice(i).join(".");
-        domainVariants.push(d, "." + d);
+  const clearSessionStorage = async (keep) =>
+    clearWebStorage(sessionStorage, keep);
+
+  const clearCookies = async (keep = keepNothing) => {
+    const out = clearOutcome();
+    try {
+      const { cookies } = await listCookies();
+      const targets = [];
+      for (const c of cookies) {
+        if (keep(c.name)) out.skipped.push(c.name);
+        else targets.push(c);
       }
-      const pathVariants = (() => {
-        const segs = location.pathname.split("/").filter(Boolean);
-        const paths = ["/"];
-        let curr = "";
-        for (const s of segs) {
-          curr += "/" + s;
-          paths.push(curr);
-        }
-        return Array.from(new Set(paths));
-      })();
+      if (!targets.length) return out;
+      const { errors, remaining } = await deleteCookies(targets);
+      out.errors.push(...errors);
+      out.remaining = remaining.map(describeCookie);
+    } catch (e) {
+      out.errors.push(String(e));
+    }
+    return out;
+  };
 
-      const expireStr = "expires=Thu, 01 Jan 1970 00:00:00 GMT; Max-Age=0";
-      const secure = location.protocol === "https:" ? "; Secure" : "";
+  // Names tried when indexedDB.databases() is unavailable (Firefox < 126).
+  const FALLBACK_DB_NAMES = [
+    "home-assistant",
+    "home-assistant_v2",
+    "idb-keyval",
+    "localforage",
+  ];
 
-      for (const name of names) {
-        for (const path of pathVariants) {
-          document.cookie = `${name}=; ${expireStr}; path=${path}${secure}`;
-          for (const domain of domainVariants) {
-            document.cookie = `${name}=; ${expireStr}; path=${path}; domain=${domain}${secure}`;
-          }
+  // Collect candidate DB names; `enumerated` is false when falling back.
+  const listIndexedDBNames = async () => {
+    if (indexedDB && typeof indexedDB.databases === "function") {
+      try {
+        const dbs = await indexedDB.databases();
+        if (Array.isArray(dbs)) {
+          const names = dbs
+            .map((d) => d && d.name)
+            .filter((n) => typeof n === "string" && n.length > 0);
+          return { names, enumerated: true };
         }
+      } catch {
+        // ignore, we'll fall back
       }
-    } catch (e) {
-      log(`Cookies: error ${e}`);
     }
+    return { names: [...FALLBACK_DB_NAMES], enumerated: false };
   };
 
-  const clearIndexedDBAll = async (log) => {
-    // Delete one DB name with guards; only log actual errors.
-    const deleteDb = (name, timeoutMs = 4000) =>
-      new Promise((resolve) => {
-        let settled = false;
-        let timer = setTimeout(() => {
-          // Treat long blocks as "timeout" (not an error); status will reflect remaining DBs later.
-          if (!settled) {
-            settled = true;
-            resolve("timeout");
-          }
-        }, timeoutMs);
+  const idbRequest = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
 
-        let req;
-        try {
-          req = indexedDB.deleteDatabase(name);
-        } catch (e) {
-          clearTimeout(timer);
-          if (!settled) {
-            settled = true;
-            log?.(`IndexedDB: error deleting "${name}": ${e}`);
-            resolve("error");
-          }
-          return;
+  const idbTransactionDone = (tx) =>
+    new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+    });
+
+  // Open a database only if it already exists. Opening an unknown name would
+  // create it, so the upgrade is aborted and null returned instead.
+  const openExistingDb = (name) =>
+    new Promise((resolve, reject) => {
+      let created = false;
+      let req;
+      try {
+        req = indexedDB.open(name);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      req.onupgradeneeded = (ev) => {
+        if (ev.oldVersion === 0) {
+          created = true;
+          req.transaction.abort();
         }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = (ev) => {
+        if (created) {
+          ev.preventDefault();
+          resolve(null);
+        } else reject(req.error);
+      };
+      req.onblocked = () => reject(new Error("blocked by another connection"));
+    });
 
-        req.onsuccess = () => {
-          if (settled) return;
+  // Delete one DB name with guards. Resolves { status, error } where status
+  // is "success", "blocked" (timed out while another connection held it
+  // open), "timeout" or "error". `onBlocked` fires once when blocked.
+  const deleteIndexedDB = (name, { timeoutMs = 4000, onBlocked } = {}) =>
+    new Promise((resolve) => {
+      let settled = false;
+      let blocked = false;
+      let timer = setTimeout(() => {
+        if (!settled) {
           settled = true;
-          clearTimeout(timer);
-          resolve("success"); // silent success
-        };
-        req.onerror = (ev) => {
-          if (settled) return;
+          resolve({ status: blocked ? "blocked" : "timeout" });
+        }
+      }, timeoutMs);
+
+      let req;
+      try {
+        req = indexedDB.deleteDatabase(name);
+      } catch (e) {
+        clearTimeout(timer);
+        if (!settled) {
           settled = true;
-          clearTimeout(timer);
-          // Real error
-          log?.(`IndexedDB: error deleting "${name}"`);
-          resolve("error");
-        };
-        req.onblocked = () => {
-          // If other tabs/connections hold the DB, deletion is blocked.
-          // We don't log or wait forever; the timeout will resolve gently.
-          // (Final status will show remaining DBs.)
-        };
-      });
+          resolve({ status: "error", error: String(e) });
+        }
+        return;
+      }
 
-    try {
-      // Collect candidate DB names.
-      let names = [];
-      if (indexedDB && typeof indexedDB.databases === "function") {
-        try {
-          const dbs = await indexedDB.databases();
-          if (Array.isArray(dbs)) {
-            names = dbs
-              .map((d) => d && d.name)
-              .filter((n) => typeof n === "string" && n.length > 0);
+      req.onsuccess = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status: "success" });
+      };
+      req.onerror = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status: "error", error: String(req.error) });
+      };
+      req.onblocked = () => {
+        // Other tabs/connections hold the DB. The request stays queued and
+        // may still succeed before the timeout once they close.
+        if (!blocked) onBlocked?.(name);
+        blocked = true;
+      };
+    });
+
+  // Databases with their version and per-store record counts. Without
+  // indexedDB.databases() the fallback names are probed instead.
+  const inspectIndexedDB = async () => {
+    const { names, enumerated } = await listIndexedDBNames();
+    const databases = [];
+    for (const name of names) {
+      const info = { name, version: null, exists: true, stores: [] };
+      try {
+        const db = await openExistingDb(name);
+        if (!db) {
+          info.exists = false;
+        } else {
+          try {
+            info.version = db.version;
+            const storeNames = Array.from(db.objectStoreNames);
+            if (storeNames.length) {
+              const tx = db.transaction(storeNames, "readonly");
+              const counts = await Promise.all(
+                storeNames.map((n) => idbRequest(tx.objectStore(n).count()))
+              );
+              info.stores = storeNames.map((n, i) => ({
+                name: n,
+                count: counts[i],
+              }));
+            }
+          } finally {
+            db.close();
           }
-        } catch {
-          // ignore, we'll fall back
         }
+      } catch (e) {
+        info.error = String(e);
       }
-      if (!names.length) {
-        names = [
-          "home-assistant",
-          "home-assistant_v2",
-          "idb-keyval",
-          "localforage",
-        ];
-      }
+      databases.push(info);
+    }
+    return { enumerated, databases };
+  };
+
+  const clearIndexedDBAll = async (keep = keepNothing, ctx = {}) => {
+    const tr = ctx.tr || defaultTr;
+    const out = clearOutcome();
+    try {
+      const { names } = await listIndexedDBNames();
 
       // Delete sequentially with micro-yield to avoid UI jank.
       for (const name of names) {
-        await deleteDb(name);
+        if (keep(name)) {
+          out.skipped.push(name);
+          continue;
+        }
+        if (ctx.signal?.aborted) break;
+        const { status, error } = await deleteIndexedDB(name, {
+          timeoutMs: ctx.timeoutMs,
+          onBlocked: ctx.onBlocked,
+        });
+        if (status === "blocked") out.blocked.push(name);
+        else if (status !== "success")
+          out.errors.push(`"${name}" ${error || tr(`idb.${status}`)}`);
         // Yield to event loop so HA/UI stays responsive.
         await new Promise((r) => setTimeout(r, 0));
       }
     } catch (e) {
-      log?.(`IndexedDB: error ${e}`);
+      out.errors.push(String(e));
     }
+    return out;
   };
 
-  const clearCacheStorage = async (log) => {
+  const clearCacheStorage = async (keep = keepNothing) => {
+    const out = clearOutcome();
     try {
-      if (!("caches" in window)) return;
+      if (!("caches" in window)) return out;
       const keys = await caches.keys();
-      await Promise.all(keys.map((k) => caches.delete(k).catch(() => {})));
+      const doomed = [];
+      for (const k of keys) (keep(k) ? out.skipped : doomed).push(k);
+      await Promise.all(
+        doomed.map((k) =>
+          caches.delete(k).catch((e) => out.errors.push(`"${k}" ${e}`))
+        )
+      );
+    } catch (e) {
+      out.errors.push(String(e));
+    }
+    return out;
+  };
+
+  // -------- Origin Private File System & Storage Buckets --------
+  const opfsRoot = async () =>
+    navigator.storage?.getDirectory ? navigator.storage.getDirectory() : null;
+
+  const opfsSize = async (handle) => {
+    if (handle.kind === "file") return (await handle.getFile()).size;
+    let total = 0;
+    for await (const child of handle.values()) total += await opfsSize(child);
+    return total;
+  };
+
+  // Top-level OPFS entries as [{ name, kind, bytes }], or null without OPFS.
+  // A directory's size includes everything below it.
+  const listOpfs = async () => {
+    const root = await opfsRoot();
+    if (!root) return null;
+    const entries = [];
+    for await (const handle of root.values()) {
+      let bytes = null;
+      try {
+        bytes = await opfsSize(handle);
+      } catch {}
+      entries.push({ name: handle.name, kind: handle.kind, bytes });
+    }
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const removeOpfsEntry = async (name) =>
+    (await opfsRoot()).removeEntry(name, { recursive: true });
+
+  // Files with an open sync access handle (SQLite in a worker, for example)
+  // cannot be removed until it is closed; they are reported as blocked.
+  const OPFS_LOCKED_ERRORS = [
+    "NoModificationAllowedError",
+    "InvalidModificationError",
+  ];
+
+  const clearOpfs = async (keep = keepNothing) => {
+    const out = clearOutcome();
+    try {
+      for (const entry of (await listOpfs()) || []) {
+        if (keep(entry.name)) {
+          out.skipped.push(entry.name);
+          continue;
+        }
+        try {
+          await removeOpfsEntry(entry.name);
+        } catch (e) {
+          if (OPFS_LOCKED_ERRORS.includes(e?.name))
+            out.blocked.push(entry.name);
+          else out.errors.push(`${entry.name}: ${e}`);
+        }
+      }
+    } catch (e) {
+      out.errors.push(String(e));
+    }
+    return out;
+  };
+
+  // Storage buckets are named partitions with their own IndexedDB, caches
+  // and OPFS, evicted independently of the default bucket. Resolves
+  // [{ name, bytes, quota, persisted }] or null without the API.
+  const listBuckets = async () => {
+    const sb = navigator.storageBuckets;
+    if (!sb?.keys) return null;
+    const buckets = [];
+    for (const name of await sb.keys()) {
+      const info = { name, bytes: null, quota: null, persisted: null };
+      try {
+        const bucket = await sb.open(name);
+        const est = await bucket.estimate();
+        info.bytes = est.usage ?? null;
+        info.quota = est.quota ?? null;
+        info.persisted = await bucket.persisted();
+      } catch {}
+      buckets.push(info);
+    }
+    return buckets.sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const deleteBucket = (name) => navigator.storageBuckets.delete(name);
+
+  const clearBuckets = async (keep = keepNothing) => {
+    const out = clearOutcome();
+    try {
+      if (!navigator.storageBuckets?.keys) return out;
+      for (const name of await navigator.storageBuckets.keys()) {
+        if (keep(name)) {
+          out.skipped.push(name);
+          continue;
+        }
+        try {
+          await deleteBucket(name);
+        } catch (e) {
+          out.errors.push(`${name}: ${e}`);
+        }
+      }
     } catch (e) {
-      log(`Cache Storage: error ${e}`);
+      out.errors.push(String(e));
+    }
+    return out;
+  };
+
+  // -------- Cache Storage entries --------
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const listCaches = async () => {
+    if (!("caches" in window)) return null;
+    const names = await caches.keys();
+    const out = [];
+    for (const name of names) {
+      const cache = await caches.open(name);
+      out.push({ name, count: (await cache.keys()).length });
+    }
+    return out;
+  };
+
+  // Body bytes one listing may read to size entries without a
+  // Content-Length header; entries past it keep an unknown size.
+  const CACHE_READ_BUDGET = 32 * 1024 * 1024;
+
+  // Counts a response body chunk by chunk without keeping it. Null once it
+  // grows past `limit`.
+  const countBody = async (res, limit) => {
+    if (!res.body) return 0;
+    const reader = res.body.getReader();
+    let bytes = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return bytes;
+      bytes += value.byteLength;
+      if (bytes > limit) {
+        reader.cancel().catch(() => {});
+        return null;
+      }
+    }
+  };
+
+  // Entries of one cache. Sizes come from Content-Length, else from
+  // counting the body within CACHE_READ_BUDGET; opaque (cross-origin
+  // no-cors) responses and entries past the budget report null.
+  const listCacheEntries = async (cacheName) => {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    const entries = [];
+    let budget = CACHE_READ_BUDGET;
+    for (const request of requests) {
+      const entry = {
+        request,
+        url: request.url,
+        contentType: "",
+        bytes: null,
+        date: null,
+      };
+      try {
+        const res = await cache.match(request);
+        if (res) {
+          entry.contentType = res.headers.get("content-type") || "";
+          const date = Date.parse(res.headers.get("date") || "");
+          entry.date = Number.isNaN(date) ? null : date;
+          const length = Number(res.headers.get("content-length") ?? NaN);
+          if (res.type !== "opaque") {
+            if (Number.isFinite(length) && length >= 0) entry.bytes = length;
+            else if (budget > 0) {
+              entry.bytes = await countBody(res, budget);
+              budget -= entry.bytes ?? budget;
+            }
+          }
+        }
+      } catch {
+        // leave the unknowns empty
+      }
+      entries.push(entry);
+    }
+    return entries;
+  };
+
+  // URL filter: glob when the pattern has wildcards, otherwise a substring.
+  const matchesUrl = (url, pattern) =>
+    /[*?]/.test(pattern)
+      ? globToRegExp(pattern).test(url)
+      : url.includes(pattern);
+
+  // Entries matching every given criterion; unset criteria are ignored.
+  // Entries without a Date header never match an age criterion.
+  const filterCacheEntries = (
+    entries,
+    { pattern, olderThanDays, largerThanBytes }
+  ) =>
+    entries.filter((e) => {
+      if (pattern && !matchesUrl(e.url, pattern)) return false;
+      if (olderThanDays > 0) {
+        if (e.date === null) return false;
+        if (Date.now() - e.date < olderThanDays * DAY_MS) return false;
+      }
+      if (largerThanBytes > 0) {
+        if (e.bytes === null || e.bytes <= largerThanBytes) return false;
+      }
+      return true;
+    });
+
+  const deleteCacheEntries = async (cacheName, entries) => {
+    const cache = await caches.open(cacheName);
+    let removed = 0;
+    const errors = [];
+    for (const e of entries) {
+      try {
+        if (await cache.delete(e.request)) removed++;
+      } catch (err) {
+        errors.push(`${e.url}: ${err}`);
+      }
     }
+    return { removed, errors };
+  };
+
+  // -------- Service worker registrations --------
+  const listServiceWorkers = async () => {
+    if (!navigator.serviceWorker?.getRegistrations) return null;
+    const regs = await navigator.serviceWorker.getRegistrations();
+    return regs.map((registration) => {
+      const worker =
+        registration.active || registration.waiting || registration.installing;
+      return {
+        registration,
+        scope: registration.scope,
+        scriptURL: worker?.scriptURL || "",
+        installing: registration.installing?.state || null,
+        waiting: registration.waiting?.state || null,
+        active: registration.active?.state || null,
+      };
+    });
+  };
+
+  // Ask a waiting worker to activate. The HA frontend listens for
+  // "skipWaiting"; Workbox-generated workers use "SKIP_WAITING".
+  const skipWaiting = (registration) => {
+    const worker = registration.waiting;
+    if (!worker) return false;
+    worker.postMessage({ type: "skipWaiting" });
+    worker.postMessage({ type: "SKIP_WAITING" });
+    return true;
   };
 
-  const clearServiceWorkers = async (log) => {
+  const clearServiceWorkers = async () => {
+    const out = clearOutcome();
     try {
-      if (!navigator.serviceWorker?.getRegistrations) return;
+      if (!navigator.serviceWorker?.getRegistrations) return out;
       const regs = await navigator.serviceWorker.getRegistrations();
-      await Promise.all(regs.map((r) => r.unregister().catch(() => {})));
+      await Promise.all(
+        regs.map((r) =>
+          r
+            .unregister()
+            .then((ok) => ok || out.blocked.push(r.scope))
+            .catch((e) => out.errors.push(`${r.scope} ${e}`))
+        )
+      );
     } catch (e) {
-      log(`Service Workers: error ${e}`);
+      out.errors.push(String(e));
     }
+    return out;
   };
 
-  const getStorageEstimate = async (log) => {
+  const getStorageEstimate = async () => {
     try {
       if (navigator.storage?.estimate) {
         const est = await navigator.storage.estimate();
-        log(
-          `Total usage: ${formatBytes(est.usage)} (quota: ${formatBytes(
-            est.quota
-          )})`
-        );
+        return {
+          usage: est.usage ?? null,
+          quota: est.quota ?? null,
+          usageDetails: est.usageDetails || null,
+        };
       }
     } catch {
       /* ignore */
     }
+    return null;
   };
 
-  // Non-destructive functions to get storage state
-  const getLocalStorageState = async (log) => {
+  // Non-destructive functions to get storage state. Each resolves
+  // { type, supported, count, items, error? } where items are the names
+  // (keys, cookie names, database names, cache names or scopes).
+  const stateOf = (type, items) => ({
+    type,
+    supported: true,
+    count: items.length,
+    items,
+  });
+  const unsupportedState = (type) => ({
+    type,
+    supported: false,
+    count: null,
+    items: [],
+  });
+  const failedState = (type, e) => ({
+    type,
+    supported: true,
+    count: null,
+    items: [],
+    error: String(e),
+  });
+
+  const getLocalStorageState = async () => {
     try {
-      const count = Object.keys(localStorage).length;
-      log(`localStorage: ${count} item${count === 1 ? "" : "s"}`);
+      return stateOf("ls", Object.keys(localStorage));
     } catch (e) {
-      log(`localStorage: ${e}`);
+      return failedState("ls", e);
     }
   };
 
-  const getSessionStorageState = async (log) => {
+  const getSessionStorageState = async () => {
     try {
-      const count = Object.keys(sessionStorage).length;
-      log(`sessionStorage: ${count} item${count === 1 ? "" : "s"}`);
+      return stateOf("ss", Object.keys(sessionStorage));
     } catch (e) {
-      log(`sessionStorage: ${e}`);
+      return failedState("ss", e);
     }
   };
 
-  const getCookiesState = async (log) => {
+  const getCookiesState = async () => {
     try {
-      const cookies = document.cookie ? document.cookie.split(";") : [];
-      const names = cookies.map((c) => c.split("=")[0].trim()).filter(Boolean);
-      log(`Cookies: ${names.length} visible`);
+      const { cookies } = await listCookies();
+      return stateOf(
+        "cookies",
+        cookies.map((c) => c.name)
+      );
     } catch (e) {
-      log(`Cookies: ${e}`);
+      return failedState("cookies", e);
     }
   };
 
-  const getIndexedDBState = async (log) => {
+  const getIndexedDBState = async () => {
     try {
       if (indexedDB && "databases" in indexedDB && indexedDB.databases) {
         const dbs = await indexedDB.databases();
-        const validDbs = dbs.filter((db) => db?.name);
-        log(
-          `IndexedDB: ${validDbs.length} database${
-            validDbs.length === 1 ? "" : "s"
-          }`
+        return stateOf(
+          "idb",
+          dbs.filter((db) => db?.name).map((db) => db.name)
         );
-      } else {
-        log(`IndexedDB: enumeration not supported`);
       }
+      return unsupportedState("idb");
     } catch (e) {
-      log(`IndexedDB: ${e}`);
+      return failedState("idb", e);
     }
   };
 
-  const getCacheStorageState = async (log) => {
+  const getCacheStorageState = async () => {
     try {
-      if (!("caches" in window)) {
-        log("Cache Storage: not supported");
-        return;
-      }
-      const keys = await caches.keys();
-      log(`Cache Storage: ${keys.length} cache${keys.length === 1 ? "" : "s"}`);
+      if (!("caches" in window)) return unsupportedState("cache");
+      return stateOf("cache", await caches.keys());
     } catch (e) {
-      log(`Cache Storage: ${e}`);
+      return failedState("cache", e);
     }
   };
 
-  const getServiceWorkersState = async (log) => {
+  const getServiceWorkersState = async () => {
     try {
-      if (!navigator.serviceWorker?.getRegistrations) {
-        log("Service Workers: no API / none registered");
-        return;
-      }
+      if (!navigator.serviceWorker?.getRegistrations)
+        return unsupportedState("sw");
       const regs = await navigator.serviceWorker.getRegistrations();
-      log(
-        `Service Workers: ${regs.length} registration${
-          regs.length === 1 ? "" : "s"
-        }`
+      return stateOf(
+        "sw",
+        regs.map((r) => r.scope)
       );
     } catch (e) {
-      log(`Service Workers: ${e}`);
+      return failedState("sw", e);
     }
   };
 
-  const logStorageState = async (log) => {
-    await getLocalStorageState(log);
-    await getSessionStorageState(log);
-    await getCookiesState(log);
-    await getCacheStorageState(log);
-    await getServiceWorkersState(log);
-    await getIndexedDBState(log);
-    await getStorageEstimate(log);
+  const getOpfsState = async () => {
+    try {
+      const entries = await listOpfs();
+      if (!entries) return unsupportedState("opfs");
+      return stateOf(
+        "opfs",
+        entries.map((e) => e.name)
+      );
+    } catch (e) {
+      return failedState("opfs", e);
+    }
   };
 
-  // -------- Card View --------
-  class NukeStorageCard extends HTMLElement {
-    static getStubConfig() {
-      return { ...DEFAULTS };
-    }
-    static getConfigElement() {
-      return document.createElement("nuke-storage-card-editor");
+  const getBucketsState = async () => {
+    try {
+      if (!navigator.storageBuckets?.keys) return unsupportedState("buckets");
+      return stateOf("buckets", await navigator.storageBuckets.keys());
+    } catch (e) {
+      return failedState("buckets", e);
     }
+  };
 
-    set hass(hass) {
-      this._hass = hass;
-    }
+  const CLEARERS = {
+    ls: clearLocalStorage,
+    ss: clearSessionStorage,
+    cookies: clearCookies,
+    cache: clearCacheStorage,
+    sw: clearServiceWorkers,
+    idb: clearIndexedDBAll,
+    opfs: clearOpfs,
+    buckets: clearBuckets,
+  };
 
-    setConfig(config) {
-      this._config = { ...DEFAULTS, ...(config || {}) };
-      if (!this.shadowRoot) this.attachShadow({ mode: "open" });
-      this._render();
-    }
+  const STATE_GETTERS = {
+    ls: getLocalStorageState,
+    ss: getSessionStorageState,
+    cookies: getCookiesState,
+    cache: getCacheStorageState,
+    sw: getServiceWorkersState,
+    idb: getIndexedDBState,
+    opfs: getOpfsState,
+    buckets: getBucketsState,
+  };
 
-    getCardSize() {
-      return 2;
-    }
+  // Resolves { states: [state per type], estimate }.
+  const inspectStorage = async () => {
+    const states = [];
+    for (const t of STORAGE_TYPES) states.push(await STATE_GETTERS[t.id]());
+    return { states, estimate: await getStorageEstimate() };
+  };
 
-    async _render() {
+  // Types with their own wording in TRANSLATIONS (state.<id>); the rest
+  // count "items".
+  const STATE_TEXTS = ["cookies", "idb", "cache", "sw", "opfs", "buckets"];
+
+  const formatState = (state, tr = defaultTr) => {
+    const label = typeLabel(state.type, tr);
+    if (state.error) return `${label}: ${state.error}`;
+    if (!state.supported) {
+      const key = `state.unsupported_${state.type}`;
+      return tr(tr.has(key) ? key : "state.unsupported", { label });
+    }
+    const key = STATE_TEXTS.includes(state.type)
+      ? `state.${state.type}`
+      : "state.items";
+    return tr(key, { label, count: state.count });
+  };
+
+  const formatEstimate = (est, tr = defaultTr) =>
+    tr("state.estimate", {
+      usage: formatBytes(est.usage),
+      quota: formatBytes(est.quota),
+    });
+
+  const logStorageState = async (log, tr = defaultTr) => {
+    const { states, estimate } = await inspectStorage();
+    for (const state of states) log(formatState(state, tr));
+    if (estimate) log(formatEstimate(estimate, tr));
+  };
+
+  // Clear one type and describe the outcome: { type, label, before, after,
+  // removed, remaining, skipped, errors, blocked, duration_ms }. Counts are
+  // null where the type cannot be enumerated; remaining lists what was
+  // meant to go but is still there. `ctx` carries hooks such as onBlocked,
+  // the abort `signal`, `timeoutMs`/`stepTimeoutMs` from stepTimeouts and
+  // the translator `tr`. A timed-out clearer keeps running but is no longer
+  // waited for.
+  const runClearStep = async (id, keep, ctx = {}) => {
+    const tr = ctx.tr || defaultTr;
+    const started = performance.now();
+    const before = await STATE_GETTERS[id]();
+    let outcome = CLEARERS[id](keep, ctx);
+    if (ctx.stepTimeoutMs) {
+      let timer;
+      outcome = await Promise.race([
+        outcome,
+        new Promise((resolve) => {
+          timer = setTimeout(() => {
+            const out = clearOutcome();
+            out.errors.push(
+              tr("step.timed_out", { seconds: ctx.stepTimeoutMs / 1000 })
+            );
+            resolve(out);
+          }, ctx.stepTimeoutMs);
+        }),
+      ]);
+      clearTimeout(timer);
+    } else outcome = await outcome;
+    const after = await STATE_GETTERS[id]();
+    const remaining = new Set(after.items);
+    // Kept and blocked items are reported as such, not as still present.
+    const expected = new Set([...outcome.skipped, ...outcome.blocked]);
+    const errors = [...outcome.errors];
+    if (before.error) errors.push(`before: ${before.error}`);
+    if (after.error) errors.push(`after: ${after.error}`);
+    return {
+      type: id,
+      label: typeLabel(id, tr),
+      before: before.count,
+      after: after.count,
+      removed: before.items.filter((n) => !remaining.has(n)),
+      remaining:
+        outcome.remaining ||
+        [...new Set(after.items)].filter((n) => !expected.has(n)),
+      skipped: outcome.skipped,
+      errors,
+      blocked: outcome.blocked,
+      duration_ms: Math.round(performance.now() - started),
+    };
+  };
+
+  // `step_timeouts:` in seconds, as one number for every step or per type
+  // key with a `default`. For IndexedDB the value is per database: deletes
+  // blocked by another connection are what hangs, and each one is cut off
+  // on its own.
+  const DEFAULT_STEP_TIMEOUTS = { default: 30, indexeddb: 4 };
+
+  const stepTimeouts = (cfg, id) => {
+    const opts =
+      typeof cfg === "number"
+        ? { default: cfg }
+        : { ...DEFAULT_STEP_TIMEOUTS, ...(cfg || {}) };
+    const key = STORAGE_TYPES.find((t) => t.id === id)?.key;
+    let seconds = Number(opts[key] ?? opts.default);
+    if (!Number.isFinite(seconds) || seconds <= 0)
+      seconds = DEFAULT_STEP_TIMEOUTS[key] ?? DEFAULT_STEP_TIMEOUTS.default;
+    return id === "idb"
+      ? { timeoutMs: seconds * 1000 }
+      : { stepTimeoutMs: seconds * 1000 };
+  };
+
+  // Progress status of a finished step.
+  const stepStatus = (step) =>
+    step.errors.length || step.remaining.length
+      ? "failed"
+      : step.blocked.length
+        ? "blocked"
+        : "done";
+
+  const countOrUnknown = (n) => (n === null ? "?" : n);
+
+  // "kept …", "blocked …" and "still present …" notes of a step.
+  const stepNotes = (step, tr = defaultTr) => {
+    const notes = [];
+    if (step.skipped.length)
+      notes.push(tr("note.kept", { names: step.skipped.join(", ") }));
+    if (step.blocked.length)
+      notes.push(tr("note.blocked", { names: step.blocked.join(", ") }));
+    if (step.remaining?.length)
+      notes.push(tr("note.remaining", { names: step.remaining.join(", ") }));
+    return notes;
+  };
+
+  const formatStep = (step, tr = defaultTr) => {
+    const parts = [
+      `${countOrUnknown(step.before)} → ${countOrUnknown(step.after)}`,
+      ...stepNotes(step, tr),
+    ];
+    const lines = [
+      tr("step.line", {
+        label: step.label,
+        parts: parts.join("; "),
+        ms: step.duration_ms,
+      }),
+    ];
+    for (const error of step.errors)
+      lines.push(tr("step.error", { label: step.label, error }));
+    return lines.join("\n");
+  };
+
+  // -------- Dry run --------
+  const namesOf = (state) =>
+    state.supported && !state.error ? state.items : [];
+
+  // What clearing `ids` would remove, without touching anything. Resolves
+  // { steps: [{ type, label, items, kept, bytes, enumerable }], bytes }.
+  // Bytes are null where the browser gives no per-item figure; IndexedDB,
+  // caches and service workers use estimate().usageDetails, which is only
+  // attributable when nothing of that type is kept.
+  const planClear = async (ids, keep, tr = defaultTr) => {
+    const estimate = await getStorageEstimate();
+    const details = estimate?.usageDetails || {};
+    const steps = [];
+    for (const t of STORAGE_TYPES) {
+      if (!ids.has(t.id)) continue;
+      const state = await STATE_GETTERS[t.id]();
+      const keepFn = keep[t.id] || keepNothing;
+      const names = namesOf(state);
+      const items = names.filter((n) => !keepFn(n));
+      const kept = names.filter((n) => keepFn(n));
+      let bytes = null;
+      if (t.id === "ls" || t.id === "ss") {
+        const sizes = listWebStorage(webStorageFor(t.id));
+        bytes = sizes
+          .filter((it) => items.includes(it.key))
+          .reduce((sum, it) => sum + it.bytes, 0);
+      } else if (t.id === "cookies") {
+        const { cookies } = await listCookies();
+        bytes = cookies
+          .filter((c) => !keepFn(c.name))
+          .reduce((sum, c) => sum + c.bytes, 0);
+      } else if (t.id === "opfs" || t.id === "buckets") {
+        const sized =
+          (await (t.id === "opfs" ? listOpfs() : listBuckets())) || [];
+        bytes = sized
+          .filter((it) => items.includes(it.name))
+          .reduce((sum, it) => sum + (it.bytes || 0), 0);
+      } else if (!kept.length) {
+        const detailKey = {
+          idb: "indexedDB",
+          cache: "caches",
+          sw: "serviceWorkerRegistrations",
+        }[t.id];
+        bytes = details[detailKey] ?? null;
+      }
+      steps.push({
+        type: t.id,
+        label: typeLabel(t.id, tr),
+        items,
+        kept,
+        bytes,
+        enumerable: state.supported && !state.error,
+      });
+    }
+    const known = steps.filter((s) => s.bytes !== null);
+    return {
+      steps,
+      bytes: known.length ? known.reduce((sum, s) => sum + s.bytes, 0) : null,
+    };
+  };
+
+  // -------- Automatic rules --------
+  // `auto_clear:` config:
+  //   version_change: true | { clear, preserve }  (clear defaults to
+  //     Cache Storage and service workers)
+  //   quota: { percent, action: warn | clear, clear, preserve }
+  //   min_interval: minutes between automatic runs (default 60)
+  // State lives in localStorage under a card-owned key so clearing keeps it.
+  const AUTO_DEFAULT_CLEAR = ["cache_storage", "service_workers"];
+  let autoEvaluated = false;
+
+  const readAutoState = () => {
+    try {
+      return JSON.parse(localStorage.getItem(AUTO_STATE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+
+  const writeAutoState = (patch) => {
+    const next = { ...readAutoState(), ...patch };
+    try {
+      localStorage.setItem(AUTO_STATE_KEY, JSON.stringify(next));
+    } catch {}
+    return next;
+  };
+
+  const autoRuleOf = (cfg) =>
+    cfg === true ? {} : cfg && typeof cfg === "object" ? cfg : null;
+
+  // Resolves null or { kind: "clear" | "warn", rule, message, clear, preserve }
+  // plus `version` for version_change, which the caller saves once the clear
+  // runs; a rate-limited upgrade is thereby deferred, not dropped.
+  const evaluateAutoRules = async (cfg, hass, tr = defaultTr) => {
+    const state = readAutoState();
+    const intervalMs = (Number(cfg.min_interval) || 60) * 60 * 1000;
+    const rateLimited = (at) => at && Date.now() - at < intervalMs;
+
+    const versionRule = autoRuleOf(cfg.version_change);
+    const version = hass?.config?.version;
+    if (versionRule && version) {
+      const previous = state.version;
+      if (!previous) writeAutoState({ version });
+      else if (previous !== version && !rateLimited(state.last_run)) {
+        return {
+          kind: "clear",
+          rule: "version_change",
+          message: tr("auto.version", { from: previous, to: version }),
+          clear: versionRule.clear ?? AUTO_DEFAULT_CLEAR,
+          preserve: versionRule.preserve,
+          version,
+        };
+      }
+    }
+
+    const quotaRule = autoRuleOf(cfg.quota);
+    const percent = Number(quotaRule?.percent);
+    if (quotaRule && percent > 0) {
+      const est = await getStorageEstimate();
+      if (est?.usage && est?.quota) {
+        const used = (est.usage / est.quota) * 100;
+        if (used >= percent) {
+          const message = tr("auto.quota", {
+            percent: used.toFixed(1),
+            usage: formatBytes(est.usage),
+            quota: formatBytes(est.quota),
+          });
+          if (quotaRule.action === "clear" && !rateLimited(state.last_run)) {
+            return {
+              kind: "clear",
+              rule: "quota",
+              message,
+              clear: quotaRule.clear ?? AUTO_DEFAULT_CLEAR,
+              preserve: quotaRule.preserve,
+            };
+          }
+          if (!rateLimited(state.last_warn)) {
+            writeAutoState({ last_warn: Date.now() });
+            return { kind: "warn", rule: "quota", message };
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  // HA shows these as toasts; `dismissable` adds a close button.
+  const showToast = (node, message) =>
+    node.dispatchEvent(
+      new CustomEvent("hass-notification", {
+        detail: { message, duration: 15000, dismissable: true },
+        bubbles: true,
+        composed: true,
+      })
+    );
+
+  // -------- Cross-tab coordination --------
+  // Every tab that loaded this script joins one BroadcastChannel. Before a
+  // nuke the initiating tab sends "prepare"; the others show a notice and
+  // acknowledge. When an IndexedDB delete is blocked (typically by those
+  // tabs' open connections) it sends "release" and they reload or close,
+  // which drops their connections; the pending delete then completes before
+  // their reloaded pages can reopen the database. "done" releases the rest.
+  const CHANNEL_NAME = "nuke-storage-card";
+  const TAB_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  const OTHER_TAB_ACTIONS = ["reload", "close", "ignore"];
+
+  const channel =
+    typeof BroadcastChannel === "function"
+      ? new BroadcastChannel(CHANNEL_NAME)
+      : null;
+  const peers = new Map();
+  const pendingAcks = new Map();
+  let heldFor = null;
+
+  const tabInfo = () => ({
+    from: TAB_ID,
+    title: document.title,
+    url: location.href,
+  });
+
+  const post = (msg) => {
+    try {
+      channel?.postMessage({ ...tabInfo(), ...msg });
+    } catch {}
+  };
+
+  // `other_tabs:` is an action name or { action, timeout (seconds) }.
+  const normalizeOtherTabs = (cfg) => {
+    const opts = typeof cfg === "string" ? { action: cfg } : { ...(cfg || {}) };
+    if (!OTHER_TAB_ACTIONS.includes(opts.action)) opts.action = "reload";
+    const timeout = Number(opts.timeout);
+    opts.timeout = Number.isFinite(timeout) && timeout > 0 ? timeout : 3;
+    return opts;
+  };
+
+  const showTabNotice = (text) => {
+    let el = document.getElementById("nuke-storage-card-notice");
+    if (!el) {
+      el = document.createElement("div");
+      el.id = "nuke-storage-card-notice";
+      el.setAttribute("role", "alert");
+      Object.assign(el.style, {
+        position: "fixed",
+        left: "50%",
+        bottom: "24px",
+        transform: "translateX(-50%)",
+        zIndex: "2147483647",
+        maxWidth: "90vw",
+        padding: "12px 16px",
+        borderRadius: "8px",
+        background: "#323232",
+        color: "#fff",
+        font: "14px/1.4 system-ui, sans-serif",
+        boxShadow: "0 2px 8px rgba(0,0,0,.4)",
+      });
+      document.body.appendChild(el);
+    }
+    el.textContent = text;
+  };
+
+  const hideTabNotice = () =>
+    document.getElementById("nuke-storage-card-notice")?.remove();
+
+  const leaveForNuke = (action) => {
+    heldFor = null;
+    if (action === "close") {
+      window.close();
+      // Only script-opened windows may close themselves.
+      setTimeout(() => location.reload(), 100);
+    } else location.reload();
+  };
+
+  const onChannelMessage = ({ data: msg }) => {
+    if (!msg || msg.from === TAB_ID) return;
+    switch (msg.type) {
+      case "hello":
+        peers.set(msg.from, msg);
+        post({ type: "here", to: msg.from });
+        break;
+      case "here":
+        if (msg.to === TAB_ID) peers.set(msg.from, msg);
+        break;
+      case "bye":
+        peers.delete(msg.from);
+        break;
+      case "prepare":
+        peers.set(msg.from, msg);
+        if (msg.action === "ignore") break;
+        heldFor = { run: msg.run, action: msg.action };
+        showTabNotice(
+          defaultTr(
+            msg.action === "close" ? "tabs.notice_close" : "tabs.notice_reload"
+          )
+        );
+        post({ type: "ack", to: msg.from, run: msg.run });
+        // Don't hold the page forever if the other tab goes away.
+        setTimeout(() => {
+          if (heldFor?.run === msg.run) {
+            heldFor = null;
+            hideTabNotice();
+          }
+        }, 120000);
+        break;
+      case "ack":
+        if (msg.to === TAB_ID) pendingAcks.get(msg.run)?.(msg);
+        break;
+      case "release":
+      case "done":
+        if (heldFor?.run === msg.run) leaveForNuke(heldFor.action);
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (channel) {
+    channel.onmessage = onChannelMessage;
+    post({ type: "hello" });
+    window.addEventListener("pagehide", () => post({ type: "bye" }));
+  }
+
+  // Announce a nuke and wait for the other tabs' acknowledgements. Resolves
+  // { run, supported, acked: [{ title, url }], missing: [{ title, url }] }.
+  const prepareOtherTabs = async (opts) => {
+    const run = Math.random().toString(36).slice(2);
+    if (!channel || opts.action === "ignore")
+      return { run, supported: !!channel, acked: [], missing: [] };
+
+    const acked = new Map();
+    await new Promise((resolve) => {
+      // With no known peers, only wait briefly for tabs we never heard from.
+      const wait = peers.size ? opts.timeout * 1000 : 300;
+      const timer = setTimeout(resolve, wait);
+      pendingAcks.set(run, (msg) => {
+        acked.set(msg.from, msg);
+        peers.set(msg.from, msg);
+        if ([...peers.keys()].every((id) => acked.has(id))) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      post({ type: "prepare", run, action: opts.action });
+    });
+    pendingAcks.delete(run);
+
+    const describe = ({ title, url }) => ({ title, url });
+    return {
+      run,
+      supported: true,
+      acked: [...acked.values()].map(describe),
+      missing: [...peers.entries()]
+        .filter(([id]) => !acked.has(id))
+        .map(([, info]) => describe(info)),
+    };
+  };
+
+  const releaseOtherTabs = (run, type = "release") => post({ type, run });
+
+  // -------- After clearing --------
+  const AFTER_CLEAR_ACTIONS = [
+    "none",
+    "reload",
+    "hard_reload",
+    "navigate",
+    "login",
+  ];
+
+  // Query parameter that makes `hard_reload` miss the HTTP cache.
+  const CACHE_BUST_PARAM = "nuke_cache_bust";
+
+  // `after_clear:` is either an action name or
+  // { action, path, delay (seconds), countdown }. The default keeps the
+  // historical behavior: reload after 200 ms without a countdown.
+  const normalizeAfterClear = (cfg) => {
+    const opts = typeof cfg === "string" ? { action: cfg } : { ...(cfg || {}) };
+    if (!AFTER_CLEAR_ACTIONS.includes(opts.action)) opts.action = "reload";
+    const delay = Number(opts.delay);
+    opts.delay = Number.isFinite(delay) && delay >= 0 ? delay : 0.2;
+    opts.countdown = !!opts.countdown;
+    return opts;
+  };
+
+  // HA's OAuth login page, with the same client ID and state the frontend uses.
+  const loginUrl = () => {
+    const base = `${location.protocol}//${location.host}`;
+    const clientId = `${base}/`;
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: `${base}/?auth_callback=1`,
+      state: btoa(JSON.stringify({ hassUrl: base, clientId })),
+    });
+    return `${base}/auth/authorize?${params}`;
+  };
+
+  // `hash` is carried over reloads; see reportHash.
+  const performAfterClear = (opts, hash = "") => {
+    switch (opts.action) {
+      case "reload":
+        if (hash) history.replaceState(history.state, "", hash);
+        location.reload();
+        break;
+      case "hard_reload": {
+        const url = new URL(location.href);
+        url.searchParams.set(CACHE_BUST_PARAM, Date.now().toString(36));
+        if (hash) url.hash = hash;
+        location.replace(url.toString());
+        break;
+      }
+      case "navigate": {
+        const url = new URL(opts.path || "/", location.origin);
+        if (hash) url.hash = hash;
+        location.assign(url.toString());
+        break;
+      }
+      case "login":
+        // The OAuth round trip drops fragments; the tab's sessionStorage
+        // survives it.
+        if (hash)
+          try {
+            sessionStorage.setItem(REPORT_STASH_KEY, hash);
+          } catch {}
+        location.assign(loginUrl());
+        break;
+      default:
+        break;
+    }
+  };
+
+  // The cache-busting parameter has done its job once the page loaded;
+  // keep it out of the address bar, history and bookmarks.
+  const dropCacheBust = () => {
+    if (!new URLSearchParams(location.search).has(CACHE_BUST_PARAM)) return;
+    const url = new URL(location.href);
+    url.searchParams.delete(CACHE_BUST_PARAM);
+    history.replaceState(history.state, "", url.toString());
+  };
+
+  // -------- Usage breakdown --------
+  const USAGE_DETAIL_KEYS = {
+    idb: "indexedDB",
+    cache: "caches",
+    sw: "serviceWorkerRegistrations",
+  };
+
+  // true or false, or null where the browser cannot tell.
+  const getPersisted = async () => {
+    try {
+      if (navigator.storage?.persisted)
+        return await navigator.storage.persisted();
+    } catch {}
+    return null;
+  };
+
+  const sumBytes = (items) =>
+    items ? items.reduce((sum, it) => sum + (it.bytes || 0), 0) : null;
+
+  const webStorageBytes = (storage) =>
+    listWebStorage(storage).reduce((sum, it) => sum + it.bytes, 0);
+
+  // Per-type bytes: computed by the card for web storage and cookies, taken
+  // from estimate().usageDetails (Chromium only) for the rest. Web storage is
+  // not part of estimate().usage, so the types need not add up to it.
+  const measureUsage = async (tr = defaultTr) => {
+    const est = await getStorageEstimate();
+    const details = est?.usageDetails;
+    const types = [];
+    for (const t of STORAGE_TYPES) {
+      let bytes = null;
+      let source = "computed";
+      try {
+        if (t.id === "ls") bytes = webStorageBytes(localStorage);
+        else if (t.id === "ss") bytes = webStorageBytes(sessionStorage);
+        else if (t.id === "cookies") bytes = (document.cookie || "").length;
+        else if (t.id === "opfs") bytes = sumBytes(await listOpfs());
+        else if (t.id === "buckets") bytes = sumBytes(await listBuckets());
+        else if (details && USAGE_DETAIL_KEYS[t.id]) {
+          bytes = details[USAGE_DETAIL_KEYS[t.id]] ?? 0;
+          source = "estimate";
+        }
+      } catch {}
+      types.push({ id: t.id, label: typeLabel(t.id, tr), bytes, source });
+    }
+    const percent =
+      est?.usage != null && est?.quota ? (est.usage / est.quota) * 100 : null;
+    return {
+      usage: est?.usage ?? null,
+      quota: est?.quota ?? null,
+      percent,
+      types,
+      persisted: await getPersisted(),
+    };
+  };
+
+  const usageLevel = (percent, warning, critical) =>
+    percent === null
+      ? ""
+      : percent >= critical
+        ? "critical"
+        : percent >= warning
+          ? "warning"
+          : "";
+
+  // -------- Reports --------
+  const buildReport = ({
+    trigger = "manual",
+    started,
+    steps,
+    estimateBefore,
+    estimateAfter,
+    tabs = null,
+    cancelled = false,
+  }) => ({
+    origin: location.origin,
+    trigger,
+    cancelled,
+    started: started.toISOString(),
+    finished: new Date().toISOString(),
+    types: steps.map((s) => s.type),
+    steps,
+    estimate: { before: estimateBefore, after: estimateAfter },
+    tabs,
+  });
+
+  const describeTabs = (tabs, tr = defaultTr) => {
+    const name = (t) => t.title || t.url;
+    const lines = [
+      `${tr("tabs.acked", { count: tabs.acked.length })}${
+        tabs.acked.length ? ` (${tabs.acked.map(name).join(", ")})` : ""
+      }`,
+    ];
+    if (tabs.missing.length)
+      lines.push(
+        tr("tabs.missing", { names: tabs.missing.map(name).join(", ") })
+      );
+    return lines;
+  };
+
+  const REPORT_COLUMNS = [
+    "type",
+    "before",
+    "after",
+    "removed",
+    "kept",
+    "blocked",
+    "remaining",
+    "errors",
+    "time",
+  ];
+
+  const reportToMarkdown = (report, tr = defaultTr) => {
+    const cell = (v) => String(v).replace(/\|/g, "\\|").replace(/\n/g, " ");
+    const lines = [
+      `### ${tr("report.title", { origin: report.origin })}`,
+      "",
+      tr("report.times", {
+        started: report.started,
+        finished: report.finished,
+      }),
+      "",
+      `| ${REPORT_COLUMNS.map((c) => cell(tr(`report.${c}`))).join(" | ")} |`,
+      "| --- | ---: | ---: | ---: | --- | --- | --- | --- | ---: |",
+    ];
+    for (const s of report.steps) {
+      const row = [
+        s.label,
+        countOrUnknown(s.before),
+        countOrUnknown(s.after),
+        s.removed.length,
+        s.skipped.join(", ") || "–",
+        s.blocked.join(", ") || "–",
+        (s.remaining || []).join(", ") || "–",
+        s.errors.join("; ") || "–",
+        `${s.duration_ms} ms`,
+      ];
+      lines.push(`| ${row.map(cell).join(" | ")} |`);
+    }
+    if (report.cancelled) lines.push("", tr("report.cancelled"));
+    if (report.tabs?.supported)
+      lines.push("", ...describeTabs(report.tabs, tr));
+    const { before, after } = report.estimate;
+    if (before || after) {
+      lines.push(
+        "",
+        tr("report.usage", {
+          before: formatBytes(before?.usage),
+          after: formatBytes(after?.usage),
+        })
+      );
+    }
+    return lines.join("\n");
+  };
+
+  const copyText = async (text) => {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.style.position = "fixed";
+    ta.style.opacity = "0";
+    document.body.appendChild(ta);
+    ta.select();
+    try {
+      document.execCommand("copy");
+    } finally {
+      ta.remove();
+    }
+  };
+
+  // -------- Run history --------
+  // Runs are kept per HA user in frontend user data, which lives on the
+  // server and so survives the clear and the reload. If saving fails, the
+  // summary rides along in the URL fragment of the next page instead, or in
+  // sessionStorage across the login page.
+  const HISTORY_KEY = "nuke_storage_card";
+  const HISTORY_LIMIT = 20;
+  const HISTORY_SAVE_TIMEOUT_MS = 3000;
+  const REPORT_HASH = "#nuke_report=";
+  const REPORT_STASH_KEY = "nuke-storage-card-report";
+
+  // The parts of a report worth keeping; `pending` means not yet seen after
+  // the reload. `browser_id` is only there once remote triggering made one.
+  const summarizeReport = (report, browserId = getBrowserId(false)) => ({
+    id: `${report.finished}-${TAB_ID}`,
+    started: report.started,
+    finished: report.finished,
+    origin: report.origin,
+    ...(browserId && { browser_id: browserId }),
+    trigger: report.trigger,
+    cancelled: report.cancelled,
+    steps: report.steps.map((s) => ({
+      type: s.type,
+      label: s.label,
+      before: s.before,
+      after: s.after,
+      removed: s.removed.length,
+      kept: s.skipped.length,
+      blocked: s.blocked,
+      remaining: s.remaining,
+      errors: s.errors,
+    })),
+    usage: {
+      before: report.estimate.before?.usage ?? null,
+      after: report.estimate.after?.usage ?? null,
+    },
+    pending: true,
+  });
+
+  const loadHistory = async (hass) => {
+    const res = await hass.callWS({
+      type: "frontend/get_user_data",
+      key: HISTORY_KEY,
+    });
+    return Array.isArray(res?.value?.history) ? res.value.history : [];
+  };
+
+  const saveHistory = (hass, history) =>
+    hass.callWS({
+      type: "frontend/set_user_data",
+      key: HISTORY_KEY,
+      value: { history: history.slice(0, HISTORY_LIMIT) },
+    });
+
+  const recordRun = async (hass, summary) => {
+    const history = await loadHistory(hass);
+    await saveHistory(hass, [summary, ...history]);
+  };
+
+  // Set `pending: false` on the given run.
+  const markSeen = async (hass, id) => {
+    const history = await loadHistory(hass);
+    const entry = history.find((h) => h.id === id);
+    if (!entry?.pending) return;
+    entry.pending = false;
+    await saveHistory(hass, history);
+  };
+
+  const reportHash = (summary) =>
+    REPORT_HASH +
+    encodeURIComponent(JSON.stringify({ ...summary, pending: false }));
+
+  // A summary carried in the URL fragment or stashed for the login page,
+  // removed once read.
+  const takeHashSummary = () => {
+    let stashed = null;
+    try {
+      stashed = sessionStorage.getItem(REPORT_STASH_KEY);
+      sessionStorage.removeItem(REPORT_STASH_KEY);
+    } catch {}
+    const inUrl = location.hash.startsWith(REPORT_HASH);
+    const hash = inUrl ? location.hash : stashed;
+    if (!hash?.startsWith(REPORT_HASH)) return null;
+    let summary = null;
+    try {
+      summary = JSON.parse(decodeURIComponent(hash.slice(REPORT_HASH.length)));
+    } catch {}
+    if (inUrl)
+      history.replaceState(
+        history.state,
+        "",
+        location.pathname + location.search
+      );
+    return summary;
+  };
+
+  const summaryLines = (summary, tr = defaultTr) =>
+    summary.steps.map((s) => {
+      const parts = [tr("summary.removed", { count: s.removed })];
+      if (s.kept) parts.push(tr("summary.kept", { count: s.kept }));
+      if (s.blocked.length)
+        parts.push(tr("note.blocked", { names: s.blocked.join(", ") }));
+      if (s.remaining?.length)
+        parts.push(tr("note.remaining", { names: s.remaining.join(", ") }));
+      for (const error of s.errors) parts.push(tr("note.error", { error }));
+      return `${s.label}: ${parts.join("; ")}`;
+    });
+
+  const summaryFailed = (summary) =>
+    summary.steps.some(
+      (s) => s.errors.length || s.blocked.length || s.remaining?.length
+    );
+
+  const summaryTitle = (summary, tr = defaultTr) =>
+    `${new Date(summary.finished).toLocaleString(tr.lang)} · ${
+      summary.trigger
+    } · ${summary.steps.map((s) => s.label).join(", ") || tr("summary.nothing")}${
+      summary.cancelled ? ` · ${tr("summary.cancelled")}` : ""
+    }`;
+
+  // -------- Backup & restore --------
+  const BACKUP_FORMAT = "nuke-storage-card-backup";
+  const BACKUP_VERSION = 1;
+
+  const bytesToBase64 = (bytes) => {
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin);
+  };
+
+  const base64ToBytes = (b64) => {
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  };
+
+  const VIEW_TYPES = [
+    "Int8Array",
+    "Uint8Array",
+    "Uint8ClampedArray",
+    "Int16Array",
+    "Uint16Array",
+    "Int32Array",
+    "Uint32Array",
+    "Float32Array",
+    "Float64Array",
+    "BigInt64Array",
+    "BigUint64Array",
+    "DataView",
+  ];
+
+  // Encode a structured-cloneable value as JSON-safe data. Non-JSON types are
+  // wrapped as { $t: type, v: payload }; plain objects that happen to carry a
+  // "$t" key are wrapped too so decoding stays unambiguous. Cycles become null;
+  // `ancestors` holds only the objects on the current path, so an object
+  // shared by several properties is encoded each time it appears.
+  const encodeValue = async (value, ancestors = new WeakSet()) => {
+    if (value === undefined) return { $t: "undefined" };
+    if (
+      value === null ||
+      typeof value === "boolean" ||
+      typeof value === "string"
+    )
+      return value;
+    if (typeof value === "number") {
+      if (Number.isNaN(value)) return { $t: "Number", v: "NaN" };
+      if (!Number.isFinite(value))
+        return { $t: "Number", v: value > 0 ? "Infinity" : "-Infinity" };
+      if (Object.is(value, -0)) return { $t: "Number", v: "-0" };
+      return value;
+    }
+    if (typeof value === "bigint") return { $t: "BigInt", v: value.toString() };
+    if (typeof value !== "object") return null;
+
+    if (ancestors.has(value)) return null;
+    ancestors.add(value);
+    try {
+      return await encodeObject(value, ancestors);
+    } finally {
+      ancestors.delete(value);
+    }
+  };
+
+  const encodeObject = async (value, ancestors) => {
+    if (value instanceof Date) return { $t: "Date", v: value.getTime() };
+    if (value instanceof RegExp)
+      return { $t: "RegExp", v: value.source, f: value.flags };
+    if (value instanceof ArrayBuffer)
+      return { $t: "ArrayBuffer", v: bytesToBase64(new Uint8Array(value)) };
+    if (ArrayBuffer.isView(value)) {
+      const bytes = new Uint8Array(
+        value.buffer,
+        value.byteOffset,
+        value.byteLength
+      );
+      return { $t: value.constructor.name, v: bytesToBase64(bytes) };
+    }
+    if (value instanceof Blob) {
+      const out = {
+        $t: value instanceof File ? "File" : "Blob",
+        type: value.type,
+        v: bytesToBase64(new Uint8Array(await value.arrayBuffer())),
+      };
+      if (value instanceof File) {
+        out.name = value.name;
+        out.lastModified = value.lastModified;
+      }
+      return out;
+    }
+    if (value instanceof Map) {
+      const entries = [];
+      for (const [k, v] of value)
+        entries.push([
+          await encodeValue(k, ancestors),
+          await encodeValue(v, ancestors),
+        ]);
+      return { $t: "Map", v: entries };
+    }
+    if (value instanceof Set) {
+      const items = [];
+      for (const v of value) items.push(await encodeValue(v, ancestors));
+      return { $t: "Set", v: items };
+    }
+    if (value instanceof Error)
+      return { $t: "Error", name: value.name, v: value.message };
+    if (Array.isArray(value)) {
+      const out = [];
+      for (const v of value) out.push(await encodeValue(v, ancestors));
+      return out;
+    }
+    const obj = {};
+    for (const k of Object.keys(value))
+      obj[k] = await encodeValue(value[k], ancestors);
+    return "$t" in obj ? { $t: "Object", v: obj } : obj;
+  };
+
+  const decodeValue = (data) => {
+    if (data === null || typeof data !== "object") return data;
+    if (Array.isArray(data)) return data.map(decodeValue);
+    if (!("$t" in data)) {
+      const obj = {};
+      for (const k of Object.keys(data)) obj[k] = decodeValue(data[k]);
+      return obj;
+    }
+    const t = data.$t;
+    switch (t) {
+      case "undefined":
+        return undefined;
+      case "Number":
+        return data.v === "-0" ? -0 : Number(data.v);
+      case "BigInt":
+        return BigInt(data.v);
+      case "Date":
+        return new Date(data.v);
+      case "RegExp":
+        return new RegExp(data.v, data.f);
+      case "ArrayBuffer":
+        return base64ToBytes(data.v).buffer;
+      case "Blob":
+        return new Blob([base64ToBytes(data.v)], { type: data.type });
+      case "File":
+        return new File([base64ToBytes(data.v)], data.name, {
+          type: data.type,
+          lastModified: data.lastModified,
+        });
+      case "Map":
+        return new Map(
+          data.v.map(([k, v]) => [decodeValue(k), decodeValue(v)])
+        );
+      case "Set":
+        return new Set(data.v.map(decodeValue));
+      case "Error": {
+        const err = new Error(data.v);
+        err.name = data.name;
+        return err;
+      }
+      case "Object": {
+        const obj = {};
+        for (const k of Object.keys(data.v)) obj[k] = decodeValue(data.v[k]);
+        return obj;
+      }
+      default:
+        if (VIEW_TYPES.includes(t) && typeof globalThis[t] === "function") {
+          const buf = base64ToBytes(data.v).buffer;
+          return new globalThis[t](buf);
+        }
+        throw new Error(`unknown encoded type "${t}"`);
+    }
+  };
+
+  const dumpIndexedDB = async (name) => {
+    const db = await openExistingDb(name);
+    if (!db) return null;
+    try {
+      const storeNames = Array.from(db.objectStoreNames);
+      const stores = [];
+      const raw = [];
+      if (storeNames.length) {
+        const tx = db.transaction(storeNames, "readonly");
+        const done = idbTransactionDone(tx);
+        for (const storeName of storeNames) {
+          const store = tx.objectStore(storeName);
+          const records = [];
+          raw.push(records);
+          stores.push({
+            name: storeName,
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: Array.from(store.indexNames).map((n) => {
+              const idx = store.index(n);
+              return {
+                name: n,
+                keyPath: idx.keyPath,
+                unique: idx.unique,
+                multiEntry: idx.multiEntry,
+              };
+            }),
+          });
+          const cursorReq = store.openCursor();
+          cursorReq.onsuccess = () => {
+            const cursor = cursorReq.result;
+            if (!cursor) return;
+            records.push([cursor.primaryKey, cursor.value]);
+            cursor.continue();
+          };
+        }
+        await done;
+      }
+      // Encode outside the transaction: Blob reads are async and would let it auto-commit.
+      for (let i = 0; i < stores.length; i++) {
+        const records = [];
+        for (const [k, v] of raw[i])
+          records.push({ k: await encodeValue(k), v: await encodeValue(v) });
+        stores[i].records = records;
+      }
+      return { name, version: db.version, stores };
+    } finally {
+      db.close();
+    }
+  };
+
+  const restoreIndexedDB = async (dump) => {
+    const { status } = await deleteIndexedDB(dump.name);
+    if (status !== "success")
+      throw new Error(`could not replace "${dump.name}" (${status})`);
+
+    const req = indexedDB.open(dump.name, dump.version || 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const s of dump.stores || []) {
+        const opts = { autoIncrement: !!s.autoIncrement };
+        if (s.keyPath !== null && s.keyPath !== undefined)
+          opts.keyPath = s.keyPath;
+        const store = db.createObjectStore(s.name, opts);
+        for (const idx of s.indexes || []) {
+          store.createIndex(idx.name, idx.keyPath, {
+            unique: !!idx.unique,
+            multiEntry: !!idx.multiEntry,
+          });
+        }
+      }
+    };
+    const db = await idbRequest(req);
+    try {
+      const stores = (dump.stores || []).filter((s) => s.records?.length);
+      if (!stores.length) return 0;
+      const tx = db.transaction(
+        stores.map((s) => s.name),
+        "readwrite"
+      );
+      const done = idbTransactionDone(tx);
+      let count = 0;
+      for (const s of stores) {
+        const store = tx.objectStore(s.name);
+        const inline = s.keyPath !== null && s.keyPath !== undefined;
+        for (const rec of s.records) {
+          const value = decodeValue(rec.v);
+          if (inline) store.put(value);
+          else store.put(value, decodeValue(rec.k));
+          count++;
+        }
+      }
+      await done;
+      return count;
+    } finally {
+      db.close();
+    }
+  };
+
+  const readWebStorage = (storage) => {
+    const out = {};
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key !== null) out[key] = storage.getItem(key);
+    }
+    return out;
+  };
+
+  // Cookies keep their path and domain where cookieStore reports them.
+  const createBackup = async (log) => {
+    const cookies = (await listCookies()).cookies.map((c) => ({
+      name: c.name,
+      value: c.value,
+      ...(c.path && { path: c.path }),
+      ...(c.domain && { domain: c.domain }),
+    }));
+
+    const databases = [];
+    const { names } = await listIndexedDBNames();
+    for (const name of names) {
+      try {
+        const dump = await dumpIndexedDB(name);
+        if (dump) databases.push(dump);
+      } catch (e) {
+        // A database we cannot read is not worth aborting the backup for.
+        log?.(defaultTr("backup.db_skipped", { name, error: e }));
+      }
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      origin: location.origin,
+      created: new Date().toISOString(),
+      localStorage: readWebStorage(localStorage),
+      sessionStorage: readWebStorage(sessionStorage),
+      cookies,
+      indexedDB: databases,
+    };
+  };
+
+  const downloadBackup = async (log) => {
+    const snapshot = await createBackup(log);
+    const blob = new Blob([JSON.stringify(snapshot)], {
+      type: "application/json",
+    });
+    const stamp = snapshot.created.replace(/[:.]/g, "-");
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `nuke-storage-backup-${location.hostname}-${stamp}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+    return { snapshot, bytes: blob.size };
+  };
+
+  const restoreBackup = async (snapshot, log) => {
+    if (snapshot?.format !== BACKUP_FORMAT)
+      throw new Error("not a Nuke Storage Card backup");
+    if (snapshot.version > BACKUP_VERSION)
+      throw new Error(
+        `backup version ${snapshot.version} is newer than this card`
+      );
+
+    const summary = {
+      localStorage: 0,
+      sessionStorage: 0,
+      cookies: 0,
+      indexedDB: 0,
+    };
+    for (const area of ["localStorage", "sessionStorage"]) {
+      const storage = area === "localStorage" ? localStorage : sessionStorage;
+      for (const [k, v] of Object.entries(snapshot[area] || {})) {
+        try {
+          storage.setItem(k, v);
+          summary[area]++;
+        } catch (e) {
+          log?.(defaultTr("restore.item_failed", { area, name: k, error: e }));
+        }
+      }
+    }
+
+    const secure = location.protocol === "https:" ? "; Secure" : "";
+    const atRoot = [];
+    for (const c of snapshot.cookies || []) {
+      const domain = c.domain ? `; domain=${c.domain}` : "";
+      document.cookie = `${c.name}=${c.value}; path=${c.path || "/"}${domain}${secure}`;
+      if (!c.path) atRoot.push(c.name);
+      summary.cookies++;
+    }
+    if (atRoot.length)
+      log?.(defaultTr("restore.cookies_at_root", { names: atRoot.join(", ") }));
+
+    for (const dump of snapshot.indexedDB || []) {
+      try {
+        await restoreIndexedDB(dump);
+        summary.indexedDB++;
+      } catch (e) {
+        log?.(defaultTr("restore.db_failed", { name: dump.name, error: e }));
+      }
+    }
+    return summary;
+  };
+
+  // -------- Remote requests --------
+  // One event reaches every subscribed card instance on the page; only the
+  // first instance that can run it acts on it.
+  const handledRemoteEvents = new Set();
+
+  const asList = (v) =>
+    (Array.isArray(v) ? v : v === undefined || v === null ? [] : [v]).map(
+      String
+    );
+
+  // Targets in event data: `browser_id`, `user` (ID or name) and `dashboard`
+  // (URL path). Each may be a list; all given targets must match. A request
+  // without targets applies to every browser with remote triggering enabled.
+  const remoteRequestMatches = (data, hass) => {
+    const browserIds = asList(data.browser_id);
+    if (browserIds.length && !browserIds.includes(getBrowserId())) return false;
+
+    const users = asList(data.user).map((u) => u.toLowerCase());
+    if (users.length) {
+      const user = hass?.user;
+      if (!user) return false;
+      const mine = [user.id, user.name]
+        .filter(Boolean)
+        .map((u) => u.toLowerCase());
+      if (!users.some((u) => mine.includes(u))) return false;
+    }
+
+    const dashboards = asList(data.dashboard).map((d) => d.replace(/^\/+/, ""));
+    if (dashboards.length) {
+      const current = location.pathname.split("/").filter(Boolean)[0] || "";
+      if (!dashboards.includes(current)) return false;
+    }
+    return true;
+  };
+
+  // -------- Access and confirmation --------
+  // SHA-256 as lowercase hex, or null without crypto.subtle, which only
+  // exists in secure contexts (https or localhost). PIN mode is refused
+  // there rather than shipping a hash implementation of our own.
+  const sha256Hex = async (text) => {
+    if (!globalThis.crypto?.subtle?.digest) return null;
+    const buf = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return Array.from(new Uint8Array(buf))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  };
+
+  const CONFIRMATION_MODES = ["none", "word", "hold", "pin"];
+
+  // `confirmation:` is a mode name or { mode, word, hold_seconds, pin_sha256 }.
+  // The PIN is a guard against accidental taps, not a secret: its hash is
+  // unsalted and sits in dashboard config every user can read, and a 4-6
+  // digit PIN is recovered from it instantly by trying every value.
+  const normalizeConfirmation = (cfg) => {
+    const opts = typeof cfg === "string" ? { mode: cfg } : { ...(cfg || {}) };
+    if (!CONFIRMATION_MODES.includes(opts.mode)) opts.mode = "none";
+    opts.word = String(opts.word || "NUKE");
+    const hold = Number(opts.hold_seconds);
+    opts.hold_seconds = Number.isFinite(hold) && hold > 0 ? hold : 2;
+    // A PIN mode without a hash cannot be satisfied; it fails closed.
+    opts.pin_sha256 = String(opts.pin_sha256 || "").toLowerCase();
+    return opts;
+  };
+
+  // With `require_admin` and/or `allowed_users` set, only users passing
+  // either restriction may clear from the UI. Remote and automatic runs are
+  // configured by an administrator and are not restricted, and neither is
+  // the URL rescue, which runs before any card or user is known.
+  const userAllowed = (config, hass) => {
+    const users = asList(config.allowed_users);
+    if (!config.require_admin && !users.length) return true;
+    const user = hass?.user;
+    if (!user) return false;
+    if (config.require_admin && user.is_admin) return true;
+    return users.includes(user.id);
+  };
+
+  // -------- Running a clear --------
+  // Clear the types in `ids` (a Set) in registry order, with `keep` from
+  // preserveMatchers, after asking other tabs to step aside. Resolves the
+  // report. Aborting `signal` skips the steps not yet started;
+  // `onProgress({ type, status, step })` sees each step go from "running"
+  // to "done", "blocked", "failed" or "skipped". Labels and log lines use
+  // the translator `tr`.
+  const runClear = async ({
+    ids,
+    keep,
+    trigger = "manual",
+    otherTabs,
+    timeouts,
+    signal,
+    onProgress = () => {},
+    log = () => {},
+    tr = defaultTr,
+  }) => {
+    const started = new Date();
+    const estimateBefore = await getStorageEstimate();
+    const steps = [];
+
+    const tabs = await prepareOtherTabs(normalizeOtherTabs(otherTabs));
+    if (tabs.supported) for (const line of describeTabs(tabs, tr)) log(line);
+    let released = false;
+    const ctx = {
+      tr,
+      onBlocked: () => {
+        if (released) return;
+        released = true;
+        releaseOtherTabs(tabs.run);
+      },
+    };
+
+    try {
+      for (const t of STORAGE_TYPES) {
+        if (!ids.has(t.id)) continue;
+        if (signal?.aborted) {
+          onProgress({ type: t.id, status: "skipped" });
+          continue;
+        }
+        onProgress({ type: t.id, status: "running" });
+        const step = await runClearStep(t.id, keep[t.id], {
+          ...ctx,
+          ...stepTimeouts(timeouts, t.id),
+          signal,
+        });
+        steps.push(step);
+        onProgress({ type: t.id, status: stepStatus(step), step });
+        log(formatStep(step, tr));
+      }
+      return buildReport({
+        trigger,
+        started,
+        steps,
+        estimateBefore,
+        estimateAfter: await getStorageEstimate(),
+        tabs,
+        cancelled: !!signal?.aborted,
+      });
+    } finally {
+      releaseOtherTabs(tabs.run, "done");
+    }
+  };
+
+  // -------- Storage providers --------
+  // Other cards can add storage types of their own:
+  //
+  //   window.nukeStorage.register({
+  //     id: "my_card",               // lowercase, unique
+  //     label: "My card cache",
+  //     key: "my_card",              // name in `clear:`/`preserve:` config
+  //     preservable: true,           // item names can be kept by pattern
+  //     note: "shown next to the checkbox",
+  //     inspect: async () => ["item", ...],  // or null when unsupported
+  //     clear: async (keep) => ({ skipped, errors, blocked }),
+  //   });
+  //
+  // `keep(name)` is true for items the preserve list wants kept. clear may
+  // resolve nothing; thrown errors are reported on the step.
+  const PROVIDER_ID = /^[a-z][a-z0-9_]*$/;
+
+  const providersChanged = () =>
+    window.dispatchEvent(new CustomEvent("nuke-storage-providers-changed"));
+
+  const unregisterProvider = (id) => {
+    const i = STORAGE_TYPES.findIndex((t) => t.id === id && t.provider);
+    if (i < 0) return false;
+    STORAGE_TYPES.splice(i, 1);
+    delete CLEARERS[id];
+    delete STATE_GETTERS[id];
+    providersChanged();
+    return true;
+  };
+
+  // Returns a function that unregisters the provider again.
+  const registerProvider = (provider) => {
+    const { id, inspect, clear } = provider || {};
+    if (!PROVIDER_ID.test(id || ""))
+      throw new Error(`Invalid storage provider id "${id}"`);
+    const key = provider.key || id;
+    if (STORAGE_TYPES.some((t) => t.id === id || t.key === key))
+      throw new Error(`Storage type "${id}" is already registered`);
+    if (typeof clear !== "function")
+      throw new Error(`Storage provider "${id}" needs a clear() function`);
+
+    STORAGE_TYPES.push({
+      id,
+      key,
+      label: String(provider.label || id),
+      preservable: !!provider.preservable,
+      note: provider.note ? String(provider.note) : "",
+      provider: true,
+    });
+    STATE_GETTERS[id] = async () => {
+      if (typeof inspect !== "function") return unsupportedState(id);
+      try {
+        const items = await inspect();
+        return items ? stateOf(id, items.map(String)) : unsupportedState(id);
+      } catch (e) {
+        return failedState(id, e);
+      }
+    };
+    CLEARERS[id] = async (keep = keepNothing, ctx = {}) => {
+      const out = clearOutcome();
+      try {
+        const res = await clear(keep, ctx);
+        for (const field of ["skipped", "errors", "blocked"]) {
+          if (Array.isArray(res?.[field]))
+            out[field].push(...res[field].map(String));
+        }
+      } catch (e) {
+        out.errors.push(String(e));
+      }
+      return out;
+    };
+    providersChanged();
+    return () => unregisterProvider(id);
+  };
+
+  // -------- Public API --------
+  // window.nukeStorage for other cards, browser_mod scripts and the console.
+  // Types are given by config key (`local_storage`, ...) or "all",
+  // `preserve` has the same shape as the card option, and `categories`
+  // limits localStorage to those key categories.
+  const api = {
+    types: () =>
+      STORAGE_TYPES.map(({ id, key, label, preservable }) => ({
+        id,
+        key,
+        label,
+        preservable: !!preservable,
+      })),
+    inspect: () => inspectStorage(),
+    plan: ({ types = "all", preserve, categories } = {}) =>
+      planClear(
+        resolveTypes(types),
+        limitToCategories(
+          preserveMatchers(preserve || {}),
+          buildKeyCatalog(),
+          categories
+        )
+      ),
+    clear: async ({
+      types = "all",
+      preserve,
+      categories,
+      trigger = "api",
+      other_tabs,
+      step_timeouts,
+      after_clear = "none",
+      signal,
+      log,
+    } = {}) => {
+      const report = await runClear({
+        ids: resolveTypes(types),
+        keep: limitToCategories(
+          preserveMatchers(preserve || {}),
+          buildKeyCatalog(),
+          categories
+        ),
+        trigger,
+        otherTabs: other_tabs,
+        timeouts: step_timeouts,
+        signal,
+        log,
+      });
+      window.dispatchEvent(
+        new CustomEvent("nuke-storage-report", { detail: report })
+      );
+      const after = normalizeAfterClear(after_clear);
+      if (after.action !== "none" && !report.cancelled)
+        setTimeout(() => performAfterClear(after), after.delay * 1000);
+      return report;
+    },
+    register: registerProvider,
+    unregister: unregisterProvider,
+  };
+
+  // The same through DOM events on window, for scripts that cannot rely on
+  // load order: `nuke-storage-clear` (detail: clear options) answers with
+  // `nuke-storage-report`, `nuke-storage-inspect` with `nuke-storage-state`.
+  // A request that fails answers with `nuke-storage-error` instead
+  // (detail: { request, error }).
+  const replyError = (request, e) =>
+    window.dispatchEvent(
+      new CustomEvent("nuke-storage-error", {
+        detail: { request, error: String(e?.message || e) },
+      })
+    );
+
+  if (!window.nukeStorage) {
+    window.nukeStorage = api;
+    window.addEventListener("nuke-storage-clear", (ev) => {
+      api
+        .clear({ trigger: "event", ...(ev.detail || {}) })
+        .catch((e) => replyError("nuke-storage-clear", e));
+    });
+    window.addEventListener("nuke-storage-inspect", async () => {
+      let state;
+      try {
+        state = await api.inspect();
+      } catch (e) {
+        replyError("nuke-storage-inspect", e);
+        return;
+      }
+      window.dispatchEvent(
+        new CustomEvent("nuke-storage-state", { detail: state })
+      );
+    });
+    window.dispatchEvent(new CustomEvent("nuke-storage-ready"));
+  }
+
+  // -------- URL rescue trigger --------
+  // A kiosk whose frontend is too broken to click anything can be rescued
+  // by opening it with `?nuke_storage=cache,sw` (type ids or config keys;
+  // empty or "all" for everything). Only browsers that opted in clear,
+  // others just say so: a card with `url_trigger: true` remembers the
+  // opt-in in localStorage, or set it by hand with
+  // localStorage["nuke-storage-card-rescue"] = "{}". The clear always
+  // waits behind a cancelable countdown, so a shared link cannot wipe a
+  // browser unnoticed. The lock, PIN and user restrictions do not apply:
+  // the countdown is the only guard.
+  const RESCUE_PARAM = "nuke_storage";
+  const RESCUE_COUNTDOWN = 10;
+  const RESCUE_MIN_COUNTDOWN = 5;
+
+  // Resolves null or { countdown (seconds) }.
+  const readRescueOptIn = () => {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(RESCUE_KEY));
+    } catch {}
+    if (!stored) return null;
+    const countdown = Number(stored.countdown ?? RESCUE_COUNTDOWN);
+    return {
+      countdown: Math.max(
+        RESCUE_MIN_COUNTDOWN,
+        Number.isFinite(countdown) ? countdown : RESCUE_COUNTDOWN
+      ),
+    };
+  };
+
+  // Mirrors `url_trigger` into this browser. Unset leaves it alone, so a
+  // dashboard without the option does not undo the opt-in of another.
+  const syncRescueOptIn = (config) => {
+    if (config.url_trigger === undefined) return;
+    try {
+      if (config.url_trigger)
+        localStorage.setItem(
+          RESCUE_KEY,
+          JSON.stringify({ countdown: config.url_trigger_countdown })
+        );
+      else localStorage.removeItem(RESCUE_KEY);
+    } catch {}
+  };
+
+  // Config keys for a `?nuke_storage=` value.
+  const rescueTypes = (value) => {
+    const names = value
+      .split(",")
+      .map((n) => n.trim())
+      .filter(Boolean);
+    if (!names.length) return "all";
+    return names.map((n) => STORAGE_TYPES.find((t) => t.id === n)?.key || n);
+  };
+
+  const urlWithoutRescue = (hash = location.hash) => {
+    const url = new URL(location.href);
+    url.searchParams.delete(RESCUE_PARAM);
+    url.hash = hash;
+    return url.toString();
+  };
+
+  // The frontend keeps the chosen language in localStorage; until hass
+  // arrives that is the best guess.
+  const pageLanguage = () => {
+    let language = null;
+    try {
+      language = JSON.parse(localStorage.getItem("selectedLanguage"));
+    } catch {}
+    return resolveLanguage({ language: language || navigator.language });
+  };
+
+  // Full-screen status for the rescue; the dashboard may never render.
+  const showRescueOverlay = () => {
+    const el = document.createElement("div");
+    el.id = "nuke-storage-card-rescue";
+    el.setAttribute("role", "alertdialog");
+    Object.assign(el.style, {
+      position: "fixed",
+      inset: "0",
+      zIndex: "2147483647",
+      display: "flex",
+      flexDirection: "column",
+      alignItems: "center",
+      justifyContent: "center",
+      gap: "16px",
+      padding: "24px",
+      background: "rgba(0,0,0,.88)",
+      color: "#fff",
+      font: "16px/1.4 system-ui, sans-serif",
+      textAlign: "center",
+    });
+    const heading = document.createElement("h2");
+    heading.style.margin = "0";
+    heading.textContent = defaultTr("rescue.heading");
+    const status = document.createElement("div");
+    status.setAttribute("aria-live", "assertive");
+    const lines = document.createElement("pre");
+    Object.assign(lines.style, {
+      margin: "0",
+      maxWidth: "90vw",
+      maxHeight: "40vh",
+      overflow: "auto",
+      textAlign: "left",
+      whiteSpace: "pre-wrap",
+      font: "13px/1.4 monospace",
+    });
+    const button = document.createElement("button");
+    button.type = "button";
+    Object.assign(button.style, { padding: "8px 24px", font: "inherit" });
+    el.append(heading, status, lines, button);
+    document.body.appendChild(el);
+    return { el, status, lines, button };
+  };
+
+  // Runs once per page load, from the bootstrap below. Everything it has to
+  // say, failures included, goes to the overlay.
+  const startRescue = async () => {
+    const value = new URLSearchParams(location.search).get(RESCUE_PARAM);
+    if (value === null) return;
+    if (!document.body)
+      await new Promise((resolve) =>
+        document.addEventListener("DOMContentLoaded", resolve, { once: true })
+      );
+    useLanguage(pageLanguage());
+    const tr = defaultTr;
+    const ui = showRescueOverlay();
+    const dismiss = () => {
+      history.replaceState(history.state, "", urlWithoutRescue());
+      ui.el.remove();
+    };
+    const stop = (text) => {
+      ui.status.textContent = text;
+      ui.button.textContent = tr("rescue.close");
+      ui.button.onclick = dismiss;
+      ui.button.hidden = false;
+    };
+
+    const optIn = readRescueOptIn();
+    if (!optIn) {
+      stop(tr("rescue.not_enabled", { param: RESCUE_PARAM }));
+      return;
+    }
+    try {
+      await runRescue(value, optIn, ui, tr, { dismiss, stop });
+    } catch (e) {
+      stop(tr("rescue.failed", { error: e?.message || e }));
+    }
+  };
+
+  const runRescue = async (value, optIn, ui, tr, { dismiss, stop }) => {
+    const types = rescueTypes(value);
+    const ids = resolveTypes(types);
+    if (!ids.size) {
+      stop(tr("rescue.nothing", { value }));
+      return;
+    }
+    const labels = STORAGE_TYPES.filter((t) => ids.has(t.id))
+      .map((t) => typeLabel(t.id, tr))
+      .join(", ");
+
+    const go = await new Promise((resolve) => {
+      const deadline = Date.now() + optIn.countdown * 1000;
+      const tick = () => {
+        const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        ui.status.textContent = tr("rescue.countdown", {
+          seconds: left,
+          origin: location.origin,
+          types: labels,
+        });
+        if (left === 0) {
+          clearInterval(timer);
+          resolve(true);
+        }
+      };
+      const timer = setInterval(tick, 250);
+      ui.button.textContent = tr("rescue.cancel");
+      ui.button.onclick = () => {
+        clearInterval(timer);
+        resolve(false);
+      };
+      ui.button.focus();
+      tick();
+    });
+    if (!go) {
+      dismiss();
+      return;
+    }
+
+    ui.button.hidden = true;
+    ui.status.textContent = tr("rescue.running", { types: labels });
+    const log = (line) => {
+      ui.lines.textContent += `${line}\n`;
+      ui.lines.scrollTop = ui.lines.scrollHeight;
+    };
+    const report = await api.clear({ types, trigger: "url", log });
+    ui.status.textContent = tr("rescue.done");
+    // The summary rides along in the fragment for the card's "Last nuke".
+    location.replace(urlWithoutRescue(reportHash(summarizeReport(report))));
+  };
+
+  // -------- Display modes & actions --------
+  // `mode: card` is the full card, `tile` a single tappable tile and `row`
+  // a line for an Entities card (also available as nuke-storage-row).
+  const MODES = ["card", "tile", "row"];
+  const HOLD_MS = 500;
+
+  // tap_action / hold_action take HA's action objects plus `nuke` (open
+  // the dialog) and `preset` (run the preset named by `preset`).
+  const DEFAULT_ACTIONS = {
+    tap: { action: "nuke" },
+    hold: { action: "none" },
+  };
+
+  // Tell taps from holds on `el` and call handler("tap" | "hold"). A long
+  // press only counts as a hold while canHold() says a hold action is set;
+  // otherwise a slow press is still a tap.
+  const bindTapHold = (el, handler, canHold) => {
+    let timer = null;
+    let held = false;
+    el.addEventListener("pointerdown", (ev) => {
+      if (ev.button) return;
+      held = false;
+      if (!canHold()) return;
+      timer = setTimeout(() => {
+        timer = null;
+        held = true;
+        handler("hold");
+      }, HOLD_MS);
+    });
+    for (const type of ["pointerup", "pointercancel", "pointerleave"]) {
+      el.addEventListener(type, () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+      });
+    }
+    el.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      if (held) held = false;
+      else handler("tap");
+    });
+    // Keep the long-press context menu from appearing on touch screens.
+    el.addEventListener("contextmenu", (ev) => ev.preventDefault());
+    if (el.getAttribute("role") === "button") {
+      el.addEventListener("keydown", (ev) => {
+        if (ev.key !== "Enter" && ev.key !== " ") return;
+        ev.preventDefault();
+        handler("tap");
+      });
+    }
+  };
+
+  // -------- Card View --------
+  class NukeStorageCard extends HTMLElement {
+    static getStubConfig() {
+      return { ...DEFAULTS };
+    }
+    static getConfigElement() {
+      return document.createElement("nuke-storage-card-editor");
+    }
+
+    set hass(hass) {
+      this._hass = hass;
+      const lang = resolveLanguage(hass);
+      useLanguage(lang);
+      // Follow a language change, but not in the middle of a run or choice.
+      if (
+        this._tr &&
+        this._tr.lang !== lang &&
+        !this._busy &&
+        !this._dialog?.open
+      )
+        this._render();
+      this._updateLock();
+      this._checkLastRun();
+      this._subscribeRemote();
+      this._checkAutoRules();
+    }
+
+    // Only a card on a dashboard opts this browser in; HA sets `preview` on
+    // the copies shown by the card editor and picker.
+    _syncRescueOptIn() {
+      if (this.isConnected && !this.preview && this._config)
+        syncRescueOptIn(this._config);
+    }
+
+    setConfig(config) {
+      this._config = { ...DEFAULTS, ...(config || {}) };
+      if (!this.shadowRoot) this.attachShadow({ mode: "open" });
+      this._syncRescueOptIn();
+      this._render();
+      this._subscribeRemote();
+      this._autoChecked = false;
+      this._checkAutoRules();
+    }
+
+    connectedCallback() {
+      this._syncRescueOptIn();
+      this._subscribeRemote();
+      this._autoChecked = false;
+      this._checkAutoRules();
+      this._startUsageRefresh();
+      this._onProvidersChanged = () => this._renderTypes();
+      window.addEventListener(
+        "nuke-storage-providers-changed",
+        this._onProvidersChanged
+      );
+    }
+
+    disconnectedCallback() {
+      this._unsubscribeRemote();
+      this._stopUsageRefresh();
+      window.removeEventListener(
+        "nuke-storage-providers-changed",
+        this._onProvidersChanged
+      );
+    }
+
+    // Refresh the usage view every `usage_refresh` seconds (0 turns the
+    // interval off) and whenever the tab becomes visible again.
+    _startUsageRefresh() {
+      this._stopUsageRefresh();
+      if (!this._usageEl || !this.isConnected) return;
+      this._refreshUsage();
+      const secs = Number(this._config.usage_refresh);
+      if (secs > 0) {
+        this._usageTimer = setInterval(() => {
+          if (document.visibilityState === "visible") this._refreshUsage();
+        }, secs * 1000);
+      }
+      this._onVisible = () => {
+        if (document.visibilityState === "visible") this._refreshUsage();
+      };
+      document.addEventListener("visibilitychange", this._onVisible);
+    }
+
+    _stopUsageRefresh() {
+      if (this._usageTimer) clearInterval(this._usageTimer);
+      this._usageTimer = null;
+      if (this._onVisible)
+        document.removeEventListener("visibilitychange", this._onVisible);
+      this._onVisible = null;
+    }
+
+    // Configured title, description or button label, else the translation.
+    _text(name) {
+      const key = DEFAULT_TEXTS[name];
+      const value = this._config[name];
+      const unset =
+        value === undefined || value === "" || value === TRANSLATIONS.en[key];
+      return unset ? this._tr(key) : value;
+    }
+
+    async _refreshUsage() {
+      const el = this._usageEl;
+      if (!el) return;
+      const tr = this._tr;
+      let m;
+      try {
+        m = await measureUsage(tr);
+      } catch (e) {
+        el.textContent = String(e);
+        return;
+      }
+      const c = this._config;
+      const level = usageLevel(
+        m.percent,
+        Number(c.usage_warning),
+        Number(c.usage_critical)
+      );
+
+      el.innerHTML = `
+        <div class="usage-head">
+          <span class="usage-total"></span>
+          <span class="usage-pct"></span>
+        </div>
+        <div class="bar quota"><span></span></div>
+        <div class="usage-types"></div>
+        <div class="usage-persist" hidden>
+          <span class="sub"></span>
+        </div>
+      `;
+      el.className = `usage ${level}`;
+      el.querySelector(".usage-total").textContent =
+        m.usage === null
+          ? tr("usage.unavailable")
+          : tr("usage.total", {
+              usage: formatBytes(m.usage),
+              quota: formatBytes(m.quota),
+            });
+      el.querySelector(".usage-pct").textContent =
+        m.percent === null ? "" : `${m.percent.toFixed(1)}%`;
+      const quotaBar = el.querySelector(".bar.quota");
+      quotaBar.hidden = m.percent === null;
+      quotaBar.firstElementChild.style.width = `${Math.min(
+        100,
+        m.percent || 0
+      )}%`;
+
+      const known = m.types.filter((t) => t.bytes !== null);
+      const max = Math.max(1, ...known.map((t) => t.bytes));
+      const list = el.querySelector(".usage-types");
+      for (const t of known) {
+        const row = document.createElement("div");
+        row.className = "usage-row";
+        const name = document.createElement("span");
+        name.textContent = t.label;
+        const bar = document.createElement("div");
+        bar.className = "bar";
+        const fill = document.createElement("span");
+        fill.style.width = `${(t.bytes / max) * 100}%`;
+        bar.appendChild(fill);
+        const size = document.createElement("span");
+        size.className = "n";
+        size.textContent = formatBytes(t.bytes);
+        row.append(name, bar, size);
+        list.appendChild(row);
+      }
+
+      // persist() can only be granted; revoking it is a browser setting.
+      const persistRow = el.querySelector(".usage-persist");
+      persistRow.hidden = m.persisted === null;
+      persistRow.firstElementChild.textContent = tr(
+        m.persisted ? "usage.persistent_on" : "usage.persistent_off"
+      );
+      if (m.persisted === false) {
+        const btn = makeButton(tr("usage.make_persistent"), "plain");
+        btn.addEventListener("click", async () => {
+          let granted = false;
+          try {
+            granted = await navigator.storage.persist();
+          } catch {}
+          this._log?.(
+            tr(granted ? "usage.persist_granted" : "usage.persist_denied")
+          );
+          this._refreshUsage();
+        });
+        persistRow.appendChild(btn);
+      }
+    }
+
+    _subscribeRemote() {
+      const conn = this._hass?.connection;
+      if (!this._config?.remote_trigger || !this.isConnected || !conn) {
+        this._unsubscribeRemote();
+        return;
+      }
+      const eventType = this._config.remote_event || DEFAULT_REMOTE_EVENT;
+      if (
+        this._remoteSub?.conn === conn &&
+        this._remoteSub.eventType === eventType
+      )
+        return;
+      this._unsubscribeRemote();
+      const sub = { conn, eventType, unsub: null };
+      this._remoteSub = sub;
+      conn
+        .subscribeEvents((ev) => this._onRemoteRequest(ev), eventType)
+        .then((unsub) => {
+          if (this._remoteSub === sub) sub.unsub = unsub;
+          else unsub();
+        })
+        .catch((e) => {
+          if (this._remoteSub === sub) this._remoteSub = null;
+          this._log?.(
+            this._tr("remote.subscribe_failed", {
+              event: eventType,
+              error: e?.message || e,
+            })
+          );
+        });
+    }
+
+    _unsubscribeRemote() {
+      const sub = this._remoteSub;
+      this._remoteSub = null;
+      if (sub?.unsub) sub.unsub().catch?.(() => {});
+    }
+
+    // Event data: `clear` (config keys or "all", required), optional
+    // `preserve` and targets, see remoteRequestMatches.
+    async _onRemoteRequest(ev) {
+      const data = ev?.data || {};
+      const id = ev?.context?.id;
+      if (id && handledRemoteEvents.has(id)) return;
+      if (this._busy || !remoteRequestMatches(data, this._hass)) return;
+      if (data.clear === undefined) {
+        this._log?.(this._tr("remote.no_clear"));
+        return;
+      }
+      const ids = resolveTypes(data.clear);
+      if (!ids.size) return;
+      // Claimed only by the card that runs it; busy or untargeted cards
+      // leave it to the others.
+      if (id) handledRemoteEvents.add(id);
+      this._log?.(
+        this._tr("remote.requested", {
+          event: ev.event_type,
+          user: ev.context?.user_id || this._tr("remote.automation"),
+        })
+      );
+      this._activePreset = {
+        name: this._tr("remote.name"),
+        trigger: "remote",
+        preserve: data.preserve,
+      };
+      this._applySelection(ids);
+      this._dialog.querySelector("#opt-backup").checked = false;
+      await this._runSelected(this._log);
+    }
+
+    // Evaluate `auto_clear` rules once per page load, by the first instance
+    // that has them. Each card looks once per connect or config change, and
+    // never from the editor or picker previews.
+    async _checkAutoRules() {
+      const cfg = this._config?.auto_clear;
+      if (!this._hass?.config || !this.isConnected || this.preview) return;
+      if (this._autoChecked) return;
+      this._autoChecked = true;
+
+      const pending = readAutoState().pending_toast;
+      if (pending) {
+        writeAutoState({ pending_toast: null });
+        showToast(this, pending);
+      }
+      if (!cfg || autoEvaluated) return;
+      autoEvaluated = true;
+
+      const tr = this._tr;
+      let decision;
+      try {
+        decision = await evaluateAutoRules(cfg, this._hass, tr);
+      } catch (e) {
+        this._log?.(tr("auto.log", { message: e }));
+        return;
+      }
+      if (!decision) return;
+
+      if (decision.kind === "warn") {
+        this._log?.(tr("auto.log", { message: decision.message }));
+        showToast(this, tr("auto.toast", { message: decision.message }));
+        return;
+      }
+
+      const ids = resolveTypes(decision.clear);
+      if (!ids.size || this._busy) return;
+      const types = STORAGE_TYPES.filter((t) => ids.has(t.id))
+        .map((t) => typeLabel(t.id, tr))
+        .join(", ");
+      const message = tr("auto.cleared", { message: decision.message, types });
+      // Record first so a failing run cannot loop; the toast is shown after
+      // the reload by whichever instance loads next.
+      writeAutoState({
+        last_run: Date.now(),
+        pending_toast: message,
+        ...(decision.version && { version: decision.version }),
+      });
+      this._log?.(tr("auto.clearing", { message: decision.message, types }));
+      this._activePreset = {
+        name: tr("auto.name"),
+        trigger: `auto:${decision.rule}`,
+        preserve: decision.preserve,
+      };
+      this._applySelection(ids);
+      this._dialog.querySelector("#opt-backup").checked = false;
+      await this._runSelected(this._log);
+      if (normalizeAfterClear(this._config.after_clear).action === "none") {
+        // The page stays, so show it now.
+        writeAutoState({ pending_toast: null });
+        showToast(this, message);
+      }
+    }
+
+    getCardSize() {
+      const c = this._config || DEFAULTS;
+      if (c.mode === "tile" || c.mode === "row") return 1;
+      return 3 + (c.show_usage ? 2 : 0) + (c.show_details ? 2 : 0);
+    }
+
+    getGridOptions() {
+      return this._config?.mode === "tile"
+        ? { columns: 6, rows: 1, min_columns: 3 }
+        : { columns: 12, min_columns: 6 };
+    }
+
+    // The tappable element of the tile and row modes.
+    _buildTrigger(mode, buttonTag) {
+      const c = this._config;
+      const el = document.createElement("div");
+      el.className = mode === "tile" ? "tile" : "entity-row";
+      el.innerHTML = `<ha-icon></ha-icon><span class="name"></span>`;
+      el.querySelector("ha-icon").setAttribute("icon", c.icon);
+      el.querySelector(".name").textContent = this._text("title");
+      let target = el;
+      if (mode === "tile") {
+        el.setAttribute("role", "button");
+        el.tabIndex = 0;
+      } else {
+        target = document.createElement(buttonTag);
+        if (buttonTag === "button") target.className = "fallback";
+        target.textContent = this._text("button_label");
+        if (buttonTag === "ha-button") target.label = target.textContent;
+        el.appendChild(target);
+      }
+      bindTapHold(
+        target,
+        (kind) => this._handleAction(kind),
+        () => this._actionFor("hold").action !== "none"
+      );
+      this._triggerEl = target;
+      return el;
+    }
+
+    _actionFor(kind) {
+      return this._config[`${kind}_action`] || DEFAULT_ACTIONS[kind];
+    }
+
+    _handleAction(kind) {
+      const cfg = this._actionFor(kind);
+      if (this._busy || this._locked) {
+        if (cfg.action === "nuke" || cfg.action === "preset") return;
+      }
+      switch (cfg.action) {
+        case "nuke":
+          this._openDialog();
+          break;
+        case "preset": {
+          const presets = Array.isArray(this._config.presets)
+            ? this._config.presets
+            : [];
+          const preset = presets.find((p) => p?.name === cfg.preset);
+          if (preset) this._runPreset(preset);
+          else this._log?.(this._tr("action.no_preset", { name: cfg.preset }));
+          break;
+        }
+        case "navigate":
+          if (!cfg.navigation_path) break;
+          history.pushState(null, "", cfg.navigation_path);
+          window.dispatchEvent(
+            new CustomEvent("location-changed", {
+              detail: { replace: false },
+            })
+          );
+          break;
+        case "url":
+          if (cfg.url_path) window.open(cfg.url_path, "_blank", "noopener");
+          break;
+        case "perform-action":
+        case "call-service": {
+          const [domain, service] = String(
+            cfg.perform_action || cfg.service || ""
+          ).split(".");
+          if (domain && service)
+            this._hass?.callService(
+              domain,
+              service,
+              cfg.data || cfg.service_data || {},
+              cfg.target
+            );
+          break;
+        }
+        case "fire-dom-event":
+          this.dispatchEvent(
+            new CustomEvent("ll-custom", {
+              detail: cfg,
+              bubbles: true,
+              composed: true,
+            })
+          );
+          break;
+        default:
+          break;
+      }
+    }
+
+    async _render() {
       const c = this._config;
+      const tr = (this._tr = makeTranslator(
+        resolveLanguage(this._hass),
+        isPlainObject(c.strings) ? c.strings : {}
+      ));
       const buttonTag = customElements.get("ha-button")
         ? "ha-button"
         : "button";
 
-      // dialog
-      this._dialog = document.createElement("dialog");
-      const dlgDiv = document.createElement("div");
-      dlgDiv.className = "dlg";
-      dlgDiv.innerHTML = `
-        <h2>What should we clear?</h2>
-        <div class="sub">Pick the data types to remove for <strong>${
-          location.origin
-        }</strong>.</div>
-        <div class="chk-grid">
-          <label><input type="checkbox" id="opt-ls" checked> localStorage</label>
-          <label><input type="checkbox" id="opt-ss" checked> sessionStorage</label>
-          <label><input type="checkbox" id="opt-cookies" checked> Cookies <span class="sub">(HttpOnly cannot be removed)</span></label>
-          <label><input type="checkbox" id="opt-cache" checked> Cache Storage</label>
-          <label><input type="checkbox" id="opt-sw" checked> Service Workers</label>
-          <label><input type="checkbox" id="opt-idb" checked> IndexedDB</label>
+      // dialog
+      this._dialog = document.createElement("dialog");
+      const dlgDiv = document.createElement("div");
+      dlgDiv.className = "dlg";
+      dlgDiv.innerHTML = `
+        <h2></h2>
+        <div class="sub intro"></div>
+        <div class="chk-grid"></div>
+        <div class="sub preserve-note" hidden></div>
+        <details class="preview">
+          <summary><span class="preview-label"></span> <span class="sub preview-total"></span></summary>
+          <div class="preview-body"></div>
+        </details>
+        <label><input type="checkbox" id="opt-backup"> <span class="backup-label"></span> <span class="sub backup-note"></span></label>
+        <div class="confirm-area" hidden>
+          <label class="confirm-prompt" for="confirm-input"></label>
+          <input type="text" id="confirm-input" autocomplete="off">
+          <div class="bar hold-bar"><span></span></div>
+          <div class="status bad confirm-error" role="alert"></div>
+        </div>
+      `;
+
+      const origin = document.createElement("strong");
+      origin.className = "origin";
+      origin.textContent = location.origin;
+      const [beforeOrigin, afterOrigin] = tr("dialog.intro").split("{origin}");
+      dlgDiv
+        .querySelector(".intro")
+        .append(beforeOrigin, origin, afterOrigin ?? "");
+      dlgDiv.querySelector(".preview-label").textContent = tr("dialog.preview");
+      dlgDiv.querySelector(".backup-label").textContent = tr("dialog.backup");
+      dlgDiv.querySelector(".backup-note").textContent =
+        tr("dialog.backup_note");
+      this._heading = dlgDiv.querySelector("h2");
+      this._preserveNote = dlgDiv.querySelector(".preserve-note");
+      this._previewEl = dlgDiv.querySelector(".preview");
+      this._previewEl.addEventListener("toggle", () => this._updatePreview());
+      this._catalog = buildKeyCatalog(c.key_catalog, tr);
+      this._typeGrid = dlgDiv.querySelector(".chk-grid");
+      this._typeGrid.addEventListener("change", (ev) => {
+        if (ev.target.dataset?.type || ev.target.dataset?.category)
+          this._updatePreview();
+      });
+      this._renderTypes();
+
+      const actionsDiv = document.createElement("div");
+      actionsDiv.className = "dlg-actions";
+
+      const cancelBtn = document.createElement(buttonTag);
+      cancelBtn.id = "dlg-cancel";
+      if (buttonTag === "button") cancelBtn.className = "fallback plain";
+      cancelBtn.textContent = tr("dialog.cancel");
+      if (buttonTag === "ha-button") {
+        cancelBtn.label = tr("dialog.cancel");
+        cancelBtn.setAttribute("appearance", "plain");
+      }
+      cancelBtn.addEventListener("click", () => {
+        this._dialog.close();
+      });
+
+      const okBtn = document.createElement(buttonTag);
+      okBtn.id = "dlg-ok";
+      if (buttonTag === "button") okBtn.className = "fallback brand";
+      okBtn.textContent = tr("dialog.clear");
+      okBtn.setAttribute("variant", "danger");
+      if (buttonTag === "ha-button") {
+        okBtn.label = tr("dialog.nuke");
+      }
+
+      actionsDiv.append(cancelBtn, okBtn);
+      this._dialog.append(dlgDiv, actionsDiv);
+      this._setupConfirmation(dlgDiv, okBtn);
+
+      // card
+      const mode = MODES.includes(c.mode) ? c.mode : "card";
+      const full = mode === "card";
+      const card = document.createElement(mode === "row" ? "div" : "ha-card");
+      card.className = `mode-${mode}`;
+      if (full) card.header = this._text("title");
+
+      const style = document.createElement("style");
+      style.textContent = `
+        /* Minimize ha-card overrides to respect default :host styles */
+        ha-card {
+          padding: 0;
+        }
+        [hidden] { display: none !important; }
+        .wrap { padding: 16px; display: grid; gap: 12px; }
+        p { margin: 0; opacity: .9; }
+        .actions { display: flex; gap: 8px; align-items: center; }
+        /* Minimal ha-button styling to align with Home Assistant defaults */
+        ha-button, button.fallback {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          cursor: pointer;
+        }
+        ha-button[appearance="brand"], button.brand {
+          background: var(--primary-color, #03a9f4);
+          color: var(--text-primary-color, #ffffff);
+          border-radius: 4px;
+          font-weight: 500;
+        }
+        ha-button[appearance="plain"], button.plain {
+          background: none;
+          color: var(--secondary-text-color, #808080);
+          border: none;
+        }
+        ha-button[raised], button.fallback[raised] {
+          box-shadow: var(--ha-card-box-shadow, 0 2px 4px rgba(0,0,0,0.2));
+        }
+        ha-button[disabled], button.fallback[disabled] {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .log {
+          font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+          font-size: 12px;
+          background: var(--card-background-color, #ffffff);
+          border: 1px solid var(--divider-color, #e0e0e0);
+          border-radius: 10px;
+          padding: 8px;
+          max-height: 180px;
+          overflow: auto;
+          white-space: pre-wrap;
+        }
+        .usage { display: grid; gap: 6px; font-size: .9rem; }
+        .usage-head { display: flex; justify-content: space-between; }
+        .usage-types { display: grid; gap: 4px; font-size: 12px; }
+        .usage-row {
+          display: grid;
+          grid-template-columns: 8em 1fr 5.5em;
+          gap: 8px;
+          align-items: center;
+        }
+        .usage-row .n { text-align: right; opacity: .7; }
+        .usage-persist {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          justify-content: space-between;
+        }
+        .bar {
+          height: 6px;
+          border-radius: 3px;
+          overflow: hidden;
+          background: var(--divider-color, #e0e0e0);
+        }
+        .bar > span {
+          display: block;
+          height: 100%;
+          background: var(--primary-color, #03a9f4);
+        }
+        .bar.quota { height: 8px; }
+        .usage.warning .bar.quota > span { background: var(--warning-color, #ffa600); }
+        .usage.critical .bar.quota > span { background: var(--error-color, #db4437); }
+        .usage.critical .usage-pct { color: var(--error-color, #db4437); font-weight: 500; }
+        .locked {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          color: var(--secondary-text-color, #808080);
+        }
+        .confirm-area { display: grid; gap: 6px; }
+        .confirm-area label { font-weight: 500; cursor: default; }
+        .confirm-error:empty { display: none; }
+        .report { display: grid; gap: 8px; overflow-x: auto; }
+        .report table { border-collapse: collapse; font-size: 12px; width: 100%; }
+        .report th, .report td {
+          text-align: left;
+          padding: 4px 6px;
+          border-bottom: 1px solid var(--divider-color, #e0e0e0);
+          vertical-align: top;
+        }
+        .report tr.bad td { color: var(--error-color, #db4437); }
+        .countdown {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          justify-content: space-between;
+          padding: 8px 12px;
+          border-radius: 10px;
+          background: var(--secondary-background-color, #f5f5f5);
+          font-weight: 500;
+        }
+        dialog {
+          border: none;
+          border-radius: 12px;
+          padding: 0;
+          max-width: 520px;
+          width: 92vw;
+          color: var(--primary-text-color, #000000);
+          background: var(--card-background-color, #ffffff);
+          box-shadow: var(--ha-card-box-shadow, 0 2px 6px rgba(0,0,0,.2));
+        }
+        .dlg {
+          padding: 16px;
+          display: grid;
+          gap: 12px;
+        }
+        .chk-grid { display: grid; gap: 8px; }
+        details.preview summary { cursor: pointer; }
+        .preview-body {
+          display: grid;
+          gap: 6px;
+          padding-top: 6px;
+          max-height: 200px;
+          overflow: auto;
+          font-size: .9rem;
+        }
+        .preview-step .v { font-size: 11px; opacity: .7; word-break: break-all; }
+        .dlg-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+          padding: 0 16px 16px 16px;
+        }
+        .dlg h3 { margin: 0 0 4px 0; font-size: 1.1rem; }
+        .sub { opacity: .8; font-size: .9rem; }
+        label { display: flex; align-items: center; gap: 8px; cursor: pointer; }
+        input[type="checkbox"] { transform: scale(1.15); }
+        details.browse { margin-left: 28px; }
+        details.browse summary { cursor: pointer; font-size: .9rem; opacity: .8; }
+        .browse-body { display: grid; gap: 6px; padding-top: 6px; }
+        .browse-row { display: flex; gap: 6px; align-items: center; }
+        .browse-row input[type="text"] { flex: 1; min-width: 0; }
+        .dlg input[type="text"] {
+          padding: 4px 6px;
+          border-radius: 6px;
+          border: 1px solid var(--divider-color, #e0e0e0);
+          background: var(--card-background-color, #ffffff);
+          color: var(--primary-text-color, #000000);
+        }
+        .keys {
+          max-height: 200px;
+          overflow: auto;
+          border: 1px solid var(--divider-color, #e0e0e0);
+          border-radius: 8px;
+        }
+        .keys label {
+          display: grid;
+          grid-template-columns: auto 1fr auto;
+          gap: 2px 8px;
+          padding: 4px 8px;
+          border-bottom: 1px solid var(--divider-color, #e0e0e0);
+        }
+        .keys .k { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; word-break: break-all; }
+        .keys .v { grid-column: 2 / 4; font-size: 11px; opacity: .7; word-break: break-all; }
+        .keys .n { font-size: 11px; opacity: .7; white-space: nowrap; }
+        .keys .empty { padding: 8px; opacity: .7; font-size: .9rem; }
+        .mode-tile .wrap { padding: 0; gap: 0; }
+        .mode-tile .wrap > :not(.tile) { margin: 0 12px 12px 12px; }
+        .mode-row .wrap { padding: 0; gap: 4px; }
+        .tile, .entity-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          user-select: none;
+          -webkit-user-select: none;
+        }
+        .tile {
+          padding: 12px;
+          cursor: pointer;
+          border-radius: var(--ha-card-border-radius, 12px);
+        }
+        .tile:focus-visible { outline: 2px solid var(--primary-color, #03a9f4); }
+        .tile.disabled { opacity: .5; cursor: default; }
+        .tile ha-icon, .entity-row ha-icon { color: var(--state-icon-color, #44739e); }
+        .entity-row { gap: 16px; }
+        .entity-row ha-icon { flex: 0 0 40px; text-align: center; }
+        .tile .name { font-weight: 500; }
+        .entity-row .name {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .progress { display: grid; gap: 6px; font-size: .9rem; }
+        .progress-head { display: flex; gap: 8px; align-items: center; justify-content: space-between; }
+        .progress-steps { display: grid; gap: 2px; font-size: 12px; }
+        .progress-step {
+          display: grid;
+          grid-template-columns: 1fr auto 4em;
+          gap: 8px;
+        }
+        .progress-step .n { text-align: right; opacity: .7; }
+        .progress-step.pending, .progress-step.skipped { opacity: .6; }
+        .progress-step.running .state { font-weight: 500; }
+        .progress-step.done .state { color: var(--success-color, #43a047); }
+        .progress-step.blocked .state { color: var(--warning-color, #ffa600); }
+        .progress-step.failed .state { color: var(--error-color, #db4437); }
+        .last-run {
+          display: grid;
+          gap: 4px;
+          padding: 8px;
+          border-radius: 8px;
+          border: 1px solid var(--divider-color, #e0e0e0);
+          font-size: .9rem;
+        }
+        .last-run.bad { border-color: var(--error-color, #db4437); }
+        .last-head { display: flex; gap: 8px; align-items: center; }
+        .last-head .sub { flex: 1; }
+        .last-run ul { margin: 0; padding-left: 20px; }
+        .history summary { cursor: pointer; font-size: .9rem; opacity: .8; }
+        .history-list { display: grid; gap: 4px; padding-top: 6px; font-size: .9rem; }
+        .history-item .v { font-size: 11px; opacity: .7; white-space: pre-wrap; padding-left: 16px; }
+        .history-list .empty { opacity: .7; }
+        summary.bad { color: var(--error-color, #db4437); }
+        .keys .group {
+          padding: 4px 8px;
+          font-size: 11px;
+          font-weight: 500;
+          text-transform: uppercase;
+          opacity: .7;
+          background: var(--secondary-background-color, #f5f5f5);
+        }
+        .item {
+          display: grid;
+          gap: 2px;
+          padding: 4px 8px;
+          border-bottom: 1px solid var(--divider-color, #e0e0e0);
+        }
+        .item-head { display: flex; gap: 8px; align-items: center; }
+        .item-head .k { flex: 1; }
+        .item.gone .k { text-decoration: line-through; opacity: .6; }
+        .item .v { grid-column: auto; }
+        .item .keys label .v { grid-column: 2 / 4; }
+        .status { font-size: 11px; }
+        .status.ok { color: var(--success-color, #43a047); }
+        .status.bad { color: var(--error-color, #db4437); }
+      `;
+
+      const wrap = document.createElement("div");
+      wrap.className = "wrap";
+
+      this._triggerEl = null;
+      if (full) {
+        const desc = document.createElement("p");
+        desc.textContent = this._text("description");
+        wrap.appendChild(desc);
+      } else {
+        wrap.appendChild(this._buildTrigger(mode, buttonTag));
+      }
+
+      this._lockEl = document.createElement("div");
+      this._lockEl.className = "locked";
+      this._lockEl.hidden = true;
+      this._lockEl.innerHTML = `<ha-icon icon="mdi:lock"></ha-icon><span></span>`;
+      wrap.appendChild(this._lockEl);
+
+      this._usageEl = null;
+      if (full && c.show_usage) {
+        this._usageEl = document.createElement("div");
+        this._usageEl.className = "usage";
+        this._usageEl.setAttribute("aria-label", tr("usage.label"));
+        wrap.appendChild(this._usageEl);
+      }
+
+      if (full && c.remote_trigger) {
+        const idLine = document.createElement("div");
+        idLine.className = "sub";
+        idLine.textContent = tr("remote.id", { id: getBrowserId() });
+        wrap.appendChild(idLine);
+      }
+
+      if (full && c.show_details) {
+        this._logEl = document.createElement("div");
+        this._logEl.className = "log";
+        this._logEl.setAttribute("aria-live", "polite");
+        this._logEl.setAttribute("aria-label", tr("log.label"));
+        this._logEl.textContent = "";
+        wrap.appendChild(this._logEl);
+
+        const log = (msg) => {
+          this._logEl.textContent += msg + "\n";
+        };
+        this._log = log;
+
+        // Populate initial storage state
+        logStorageState(log, tr);
+
+        okBtn.addEventListener("click", async (ev) => {
+          ev.preventDefault();
+          if (!(await this._confirmationPassed())) return;
+          this._logEl.textContent = "";
+          await this._runSelected(log);
+        });
+
+      } else {
+        this._logEl = null;
+        const log = (msg) => {
+          console.info(msg + "\n");
+        };
+        this._log = log;
+        okBtn.addEventListener("click", async (ev) => {
+          ev.preventDefault();
+          if (!(await this._confirmationPassed())) return;
+          await this._runSelected(log);
+        });
+      }
+
+      this._reportEl = document.createElement("div");
+      this._reportEl.className = "report";
+      this._reportEl.hidden = true;
+      wrap.appendChild(this._reportEl);
+
+      this._lastRunEl = null;
+      if (mode !== "row") {
+        this._lastRunEl = document.createElement("div");
+        this._lastRunEl.className = "last-run";
+        this._lastRunEl.hidden = true;
+        this._lastRunEl.setAttribute("role", "status");
+        wrap.appendChild(this._lastRunEl);
+        // A summary still on screen survives the re-render.
+        if (this._lastRun) this._showLastRun(this._lastRun);
+      }
+
+      this._historyEl = document.createElement("details");
+      this._historyEl.className = "history";
+      this._historyEl.innerHTML = `
+        <summary></summary>
+        <div class="history-list"></div>
+      `;
+      this._historyEl.firstElementChild.textContent = tr("history.heading");
+      this._historyEl.addEventListener("toggle", () => {
+        if (this._historyEl.open) this._refreshHistory();
+      });
+      if (full) wrap.appendChild(this._historyEl);
+
+      this._progressEl = document.createElement("div");
+      this._progressEl.className = "progress";
+      this._progressEl.hidden = true;
+      this._progressEl.setAttribute("role", "status");
+      wrap.appendChild(this._progressEl);
+
+      this._countdownEl = document.createElement("div");
+      this._countdownEl.className = "countdown";
+      this._countdownEl.hidden = true;
+      this._countdownEl.setAttribute("role", "status");
+      this._countdownEl.innerHTML = `<span class="countdown-text"></span>`;
+      const stopBtn = makeButton(tr("dialog.cancel"), "plain");
+      stopBtn.addEventListener("click", () => this._cancelAfterClear());
+      this._countdownEl.appendChild(stopBtn);
+      wrap.appendChild(this._countdownEl);
+
+      const actions = document.createElement("div");
+      actions.className = "actions";
+
+      const btn = document.createElement(buttonTag);
+      if (buttonTag === "button") btn.className = "fallback";
+      btn.textContent = this._text("button_label");
+      if (buttonTag === "ha-button") btn.label = btn.textContent;
+      btn.setAttribute("raised", "");
+      btn.addEventListener("click", () => this._openDialog());
+      actions.appendChild(btn);
+
+      for (const preset of Array.isArray(c.presets) ? c.presets : []) {
+        if (!preset?.name) continue;
+        const pb = makeButton(preset.name);
+        if (preset.icon) {
+          const icon = document.createElement("ha-icon");
+          icon.setAttribute("slot", "start");
+          icon.setAttribute("icon", preset.icon);
+          pb.prepend(icon);
+        }
+        pb.addEventListener("click", () => this._runPreset(preset));
+        actions.appendChild(pb);
+      }
+
+      const restoreInput = document.createElement("input");
+      restoreInput.type = "file";
+      restoreInput.accept = "application/json,.json";
+      restoreInput.hidden = true;
+      restoreInput.addEventListener("change", async () => {
+        const file = restoreInput.files?.[0];
+        restoreInput.value = "";
+        if (file) await this._restoreFromFile(file, this._log);
+      });
+      const restoreBtn = makeButton(tr("restore.button"), "plain");
+      restoreBtn.addEventListener("click", () => restoreInput.click());
+      actions.append(restoreBtn, restoreInput);
+      if (full) wrap.appendChild(actions);
+      card.appendChild(style);
+      card.appendChild(wrap);
+      card.appendChild(this._dialog);
+
+      this.shadowRoot.innerHTML = "";
+      this.shadowRoot.appendChild(card);
+      this._updateLock();
+      this._startUsageRefresh();
+    }
+
+    _openDialog(preset = null) {
+      if (this._locked) return;
+      this._activePreset = preset;
+      this._resetConfirmation();
+      this._applySelection(
+        resolveTypes(
+          preset ? (preset.clear ?? []) : this._config.default_checked
+        ),
+        preset?.categories
+      );
+      this._heading.textContent = preset
+        ? preset.name
+        : this._tr("dialog.heading");
+      this._showPreserveNote();
+      this._updatePreview();
+      for (const refresh of this._browsers || []) refresh();
+      if (!this._dialog.open) this._dialog.showModal();
+    }
+
+    _typeBox(id) {
+      return this._typeGrid?.querySelector(
+        `input[data-type="${CSS.escape(id)}"]`
+      );
+    }
+
+    _selectedIds() {
+      return new Set(
+        STORAGE_TYPES.filter((t) => this._typeBox(t.id)?.checked).map(
+          (t) => t.id
+        )
+      );
+    }
+
+    // One checkbox, plus its inspector where there is one, per registered
+    // storage type. Re-run when providers change; checked boxes survive.
+    _renderTypes() {
+      const grid = this._typeGrid;
+      if (!grid) return;
+      const checked = this._selectedIds();
+      grid.innerHTML = "";
+      this._browsers = [];
+      for (const t of STORAGE_TYPES) {
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.dataset.type = t.id;
+        box.checked = checked.has(t.id);
+        label.append(box, ` ${typeLabel(t.id, this._tr)}`);
+        const noteText = typeNote(t, this._tr);
+        if (noteText) {
+          const note = document.createElement("span");
+          note.className = "sub";
+          note.textContent = `(${noteText})`;
+          label.append(" ", note);
+        }
+        grid.appendChild(label);
+        const inspector = this._buildInspector(t.id);
+        if (inspector) grid.appendChild(inspector);
+      }
+    }
+
+    _buildInspector(id) {
+      const tr = this._tr;
+      switch (id) {
+        case "ls": {
+          const frag = document.createDocumentFragment();
+          frag.append(this._buildCategoryPicker(), this._buildKeyBrowser(id));
+          return frag;
+        }
+        case "ss":
+          return this._buildKeyBrowser(id);
+        case "cookies":
+          return this._buildCookieInspector();
+        case "cache":
+          return this._buildCacheInspector();
+        case "sw":
+          return this._buildSwInspector();
+        case "idb":
+          return this._buildDbInspector();
+        case "opfs":
+          return this._buildEntryInspector({
+            label: typeLabel(id, tr),
+            summary: tr("opfs.inspect"),
+            load: listOpfs,
+            describe: (e) =>
+              tr(e.kind === "directory" ? "opfs.folder" : "opfs.file"),
+            remove: removeOpfsEntry,
+          });
+        case "buckets":
+          return this._buildEntryInspector({
+            label: typeLabel(id, tr),
+            summary: tr("buckets.inspect"),
+            load: listBuckets,
+            describe: (b) =>
+              [
+                b.quota === null
+                  ? ""
+                  : tr("buckets.quota", { size: formatBytes(b.quota) }),
+                b.persisted ? tr("buckets.persistent") : "",
+              ]
+                .filter(Boolean)
+                .join(" · "),
+            remove: deleteBucket,
+          });
+        default:
+          return null;
+      }
+    }
+
+    // Dry-run list for the checked types; re-run whenever a box changes.
+    async _updatePreview() {
+      const tr = this._tr;
+      const el = this._previewEl;
+      const seq = (this._previewSeq = (this._previewSeq || 0) + 1);
+      const total = el.querySelector(".preview-total");
+      const body = el.querySelector(".preview-body");
+      let plan;
+      try {
+        plan = await planClear(this._selectedIds(), this._keepMatchers(), tr);
+      } catch (e) {
+        if (seq === this._previewSeq) body.textContent = String(e);
+        return;
+      }
+      if (seq !== this._previewSeq) return;
+
+      total.textContent =
+        plan.bytes === null
+          ? ""
+          : tr("preview.about", { size: formatBytes(plan.bytes) });
+      body.innerHTML = "";
+      if (!plan.steps.length) {
+        const none = document.createElement("div");
+        none.className = "sub";
+        none.textContent = tr("preview.nothing");
+        body.appendChild(none);
+        return;
+      }
+      for (const step of plan.steps) {
+        const sec = document.createElement("div");
+        sec.className = "preview-step";
+        const head = document.createElement("div");
+        const size = step.bytes === null ? "" : `, ${formatBytes(step.bytes)}`;
+        head.textContent = step.enumerable
+          ? tr("preview.count", {
+              label: step.label,
+              count: step.items.length,
+              size,
+            })
+          : tr("preview.unlisted", { label: step.label });
+        const names = document.createElement("div");
+        names.className = "v";
+        names.textContent = step.items.join(", ");
+        sec.append(head, names);
+        if (step.kept.length) {
+          const kept = document.createElement("div");
+          kept.className = "v";
+          kept.textContent = tr("preview.kept", {
+            names: step.kept.join(", "),
+          });
+          sec.appendChild(kept);
+        }
+        body.appendChild(sec);
+      }
+    }
+
+    // Check the boxes for `ids`; `categories` limits localStorage to those
+    // key categories, all when unset.
+    _applySelection(ids, categories) {
+      for (const t of STORAGE_TYPES) {
+        const box = this._typeBox(t.id);
+        if (box) box.checked = ids.has(t.id);
+      }
+      const wanted = categories ? new Set(asList(categories)) : null;
+      for (const box of this._typeGrid?.querySelectorAll(
+        "input[data-category]"
+      ) || [])
+        box.checked = !wanted || wanted.has(box.dataset.category);
+    }
+
+    // Checked category ids, or null when all are checked.
+    _selectedCategories() {
+      const boxes = [
+        ...(this._typeGrid?.querySelectorAll("input[data-category]") || []),
+      ];
+      if (boxes.every((b) => b.checked)) return null;
+      return boxes.filter((b) => b.checked).map((b) => b.dataset.category);
+    }
+
+    _keepMatchers() {
+      return limitToCategories(
+        preserveMatchers(this._effectivePreserve()),
+        this._catalog,
+        this._selectedCategories()
+      );
+    }
+
+    _effectivePreserve() {
+      return mergePreserve(this._config.preserve, this._activePreset?.preserve);
+    }
+
+    _showPreserveNote() {
+      const preserve = this._effectivePreserve();
+      const lines = STORAGE_TYPES.filter((t) => preserve[t.key]).map(
+        (t) => `${typeLabel(t.id, this._tr)}: ${preserve[t.key].join(", ")}`
+      );
+      this._preserveNote.textContent = lines.length
+        ? this._tr("preserve.note", { list: lines.join("; ") })
+        : "";
+      this._preserveNote.hidden = !lines.length;
+    }
+
+    // Presets open the dialog pre-selected, or with `direct: true` run right
+    // after a confirmation.
+    async _runPreset(preset) {
+      if (this._locked) return;
+      // Stronger confirmation modes live in the dialog.
+      const guarded =
+        normalizeConfirmation(this._config.confirmation).mode !== "none";
+      if (!preset.direct || guarded) {
+        this._openDialog(preset);
+        return;
+      }
+      // Without `clear` nothing is selected, so nothing runs unasked.
+      const ids = resolveTypes(preset.clear ?? []);
+      const labels = STORAGE_TYPES.filter((t) => ids.has(t.id)).map((t) =>
+        typeLabel(t.id, this._tr)
+      );
+      if (!labels.length) return;
+      if (
+        !confirm(
+          this._tr("preset.confirm", {
+            name: preset.name,
+            types: labels.join(", "),
+            origin: location.origin,
+          })
+        )
+      )
+        return;
+      this._activePreset = preset;
+      this._applySelection(ids, preset.categories);
+      this._dialog.querySelector("#opt-backup").checked = false;
+      await this._runSelected(this._log);
+    }
+
+    // Lock the card for users not allowed by `require_admin`/`allowed_users`.
+    _updateLock() {
+      if (!this._config || !this._lockEl) return;
+      // Applied every time: a re-render brings a fresh, hidden notice.
+      const locked = !userAllowed(this._config, this._hass);
+      this._locked = locked;
+      this._lockEl.hidden = !locked;
+      this._lockEl.lastElementChild.textContent = this._tr(
+        this._config.require_admin ? "lock.admin" : "lock.users"
+      );
+      if (locked && this._dialog?.open) this._dialog.close();
+      this._setBusy(!!this._busy);
+    }
+
+    _setupConfirmation(dlgDiv, okBtn) {
+      const conf = normalizeConfirmation(this._config.confirmation);
+      this._confirmArea = dlgDiv.querySelector(".confirm-area");
+      this._confirmInput = dlgDiv.querySelector("#confirm-input");
+      this._confirmError = dlgDiv.querySelector(".confirm-error");
+      const prompt = dlgDiv.querySelector(".confirm-prompt");
+      const holdBar = dlgDiv.querySelector(".hold-bar");
+      if (conf.mode === "none") return;
+
+      this._confirmArea.hidden = false;
+      holdBar.hidden = conf.mode !== "hold";
+      this._confirmInput.hidden = conf.mode === "hold";
+      if (conf.mode === "word") {
+        prompt.textContent = this._tr("confirm.word", { word: conf.word });
+      } else if (conf.mode === "pin") {
+        prompt.textContent = this._tr("confirm.pin");
+        this._confirmInput.type = "password";
+        this._confirmInput.inputMode = "numeric";
+      } else {
+        prompt.textContent = this._tr("confirm.hold", {
+          seconds: conf.hold_seconds,
+        });
+        const fill = holdBar.firstElementChild;
+        let started = 0;
+        let frame = null;
+        // Releasing after a completed hold still clicks the button.
+        let swallowClick = false;
+        const stop = () => {
+          if (frame) cancelAnimationFrame(frame);
+          frame = null;
+          if (!this._holdDone) fill.style.width = "0";
+        };
+        const step = () => {
+          const pct =
+            ((Date.now() - started) / (conf.hold_seconds * 1000)) * 100;
+          fill.style.width = `${Math.min(100, pct)}%`;
+          if (pct >= 100) {
+            frame = null;
+            this._holdDone = true;
+            okBtn.click();
+            swallowClick = true;
+          } else frame = requestAnimationFrame(step);
+        };
+        const start = (ev) => {
+          swallowClick = false;
+          if (frame || okBtn.disabled) return;
+          ev.preventDefault();
+          started = Date.now();
+          frame = requestAnimationFrame(step);
+        };
+        okBtn.addEventListener("pointerdown", start);
+        okBtn.addEventListener(
+          "click",
+          (ev) => {
+            if (!swallowClick) return;
+            swallowClick = false;
+            ev.preventDefault();
+            ev.stopImmediatePropagation();
+          },
+          true
+        );
+        okBtn.addEventListener("keydown", (ev) => {
+          if ((ev.key === " " || ev.key === "Enter") && !ev.repeat) start(ev);
+        });
+        for (const type of [
+          "pointerup",
+          "pointerleave",
+          "pointercancel",
+          "keyup",
+        ])
+          okBtn.addEventListener(type, stop);
+      }
+      this._confirmInput.addEventListener("input", () => {
+        this._confirmError.textContent = "";
+      });
+    }
+
+    _resetConfirmation() {
+      this._holdDone = false;
+      if (!this._confirmArea) return;
+      this._confirmInput.value = "";
+      this._confirmError.textContent = "";
+      const fill = this._confirmArea.querySelector(".hold-bar > span");
+      if (fill) fill.style.width = "0";
+    }
+
+    // True once the configured `confirmation` is satisfied.
+    async _confirmationPassed() {
+      const conf = normalizeConfirmation(this._config.confirmation);
+      if (this._locked) return false;
+      let ok = true;
+      let error = "";
+      if (conf.mode === "word") {
+        ok =
+          this._confirmInput.value.trim().toUpperCase() ===
+          conf.word.toUpperCase();
+        error = this._tr("confirm.word_error", { word: conf.word });
+      } else if (conf.mode === "pin") {
+        const hash = await sha256Hex(this._confirmInput.value);
+        ok = !!conf.pin_sha256 && hash === conf.pin_sha256;
+        error = this._tr(
+          !conf.pin_sha256
+            ? "confirm.no_pin"
+            : hash === null
+              ? "confirm.pin_insecure"
+              : "confirm.wrong_pin"
+        );
+        if (!ok) this._confirmInput.value = "";
+      } else if (conf.mode === "hold") {
+        ok = !!this._holdDone;
+        error = this._tr("confirm.keep_holding");
+      }
+      this._confirmError.textContent = ok ? "" : error;
+      if (!ok) return false;
+      this._holdDone = false;
+      return true;
+    }
+
+    // Disable or re-enable every card action while a run is in progress.
+    _setBusy(busy) {
+      this._busy = busy;
+      const off = busy || !!this._locked;
+      const btns = this.shadowRoot?.querySelectorAll(
+        ".actions ha-button, .actions button"
+      );
+      for (const b of btns || []) {
+        if (off) b.setAttribute("disabled", "");
+        else b.removeAttribute("disabled");
+        b.disabled = off;
+      }
+      const okBtn = this._dialog.querySelector("#dlg-ok");
+      okBtn.disabled = busy;
+      if (this._triggerEl) {
+        this._triggerEl.classList.toggle("disabled", off);
+        if (this._triggerEl.getAttribute("role") === "button")
+          this._triggerEl.setAttribute("aria-disabled", String(off));
+        else this._triggerEl.disabled = off;
+      }
+    }
+
+    // Expandable list of caches; each cache expands into its entries.
+    _buildCacheInspector() {
+      const tr = this._tr;
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="keys" role="list"></div>
+          <div class="browse-row refresh-row"></div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = tr("cache.inspect");
+      const list = details.querySelector(".keys");
+      const refreshBtn = makeButton(tr("common.refresh"), "plain");
+      details.querySelector(".refresh-row").appendChild(refreshBtn);
+      const log = (msg) => this._log?.(`${typeLabel("cache", tr)}: ${msg}`);
+
+      const buildCache = (info) => {
+        const row = document.createElement("div");
+        row.className = "item";
+        row.setAttribute("role", "listitem");
+        const head = document.createElement("div");
+        head.className = "item-head";
+        const k = document.createElement("span");
+        k.className = "k";
+        k.textContent = info.name;
+        const n = document.createElement("span");
+        n.className = "n";
+        n.textContent = tr("cache.entries", { count: info.count });
+        const delCache = makeButton(tr("common.delete"), "plain");
+        head.append(k, n, delCache);
+
+        const body = document.createElement("details");
+        body.innerHTML = `
+          <summary class="sub"></summary>
+          <div class="browse-body">
+            <div class="keys entries"></div>
+            <div class="browse-row sel-row"></div>
+            <div class="browse-row">
+              <input type="text" class="pattern">
+            </div>
+            <div class="browse-row">
+              <input type="text" class="days" inputmode="numeric">
+              <input type="text" class="kb" inputmode="numeric">
+            </div>
+            <div class="browse-row prune-row"></div>
+          </div>
+        `;
+        body.querySelector("summary").textContent = tr("cache.entries_heading");
+        setHint(
+          body.querySelector(".pattern"),
+          tr("cache.pattern"),
+          tr("cache.pattern_label")
+        );
+        setHint(
+          body.querySelector(".days"),
+          tr("cache.days"),
+          tr("cache.days_label")
+        );
+        setHint(
+          body.querySelector(".kb"),
+          tr("cache.kb"),
+          tr("cache.kb_label")
+        );
+        const entriesEl = body.querySelector(".entries");
+        const delSelected = makeButton(tr("common.delete_selected"), "plain");
+        body.querySelector(".sel-row").appendChild(delSelected);
+        const delMatching = makeButton(tr("common.delete_matching"), "plain");
+        body.querySelector(".prune-row").appendChild(delMatching);
+
+        let entries = [];
+        const selected = new Set();
+
+        const load = async () => {
+          showEmpty(entriesEl, tr("common.loading"));
+          try {
+            entries = await listCacheEntries(info.name);
+          } catch (e) {
+            entries = [];
+            log(e);
+          }
+          selected.clear();
+          n.textContent = tr("cache.entries", { count: entries.length });
+          entriesEl.innerHTML = "";
+          if (!entries.length) showEmpty(entriesEl, tr("cache.no_entries"));
+          for (const e of entries) {
+            const r = document.createElement("label");
+            const cb = document.createElement("input");
+            cb.type = "checkbox";
+            cb.addEventListener("change", () => {
+              if (cb.checked) selected.add(e);
+              else selected.delete(e);
+            });
+            const u = document.createElement("span");
+            u.className = "k";
+            u.textContent = e.url;
+            const size = document.createElement("span");
+            size.className = "n";
+            size.textContent = formatBytes(e.bytes);
+            const meta = document.createElement("span");
+            meta.className = "v";
+            meta.textContent = [
+              e.contentType || tr("cache.unknown_type"),
+              e.date === null
+                ? tr("cache.no_date")
+                : new Date(e.date).toLocaleString(tr.lang),
+            ].join(" · ");
+            r.append(cb, u, size, meta);
+            entriesEl.appendChild(r);
+          }
+        };
+
+        const remove = async (doomed) => {
+          const { removed, errors } = await deleteCacheEntries(
+            info.name,
+            doomed
+          );
+          for (const err of errors) log(tr("note.error", { error: err }));
+          log(tr("cache.removed", { count: removed, name: info.name }));
+          await load();
+        };
+
+        body.addEventListener("toggle", () => {
+          if (body.open) load();
+        });
+        delSelected.addEventListener("click", (ev) => {
+          ev.preventDefault();
+          if (selected.size) remove([...selected]);
+        });
+        delMatching.addEventListener("click", (ev) => {
+          ev.preventDefault();
+          const criteria = {
+            pattern: body.querySelector(".pattern").value.trim(),
+            olderThanDays: Number(body.querySelector(".days").value) || 0,
+            largerThanBytes:
+              (Number(body.querySelector(".kb").value) || 0) * 1024,
+          };
+          if (
+            !criteria.pattern &&
+            !criteria.olderThanDays &&
+            !criteria.largerThanBytes
+          )
+            return;
+          const doomed = filterCacheEntries(entries, criteria);
+          if (!doomed.length) {
+            log(tr("cache.no_match", { name: info.name }));
+            return;
+          }
+          if (
+            confirm(
+              tr("cache.confirm_matching", {
+                count: doomed.length,
+                name: info.name,
+              })
+            )
+          )
+            remove(doomed);
+        });
+        delCache.addEventListener("click", async (ev) => {
+          ev.preventDefault();
+          if (!confirm(tr("cache.confirm_delete", { name: info.name }))) return;
+          try {
+            await caches.delete(info.name);
+            log(tr("cache.deleted", { name: info.name }));
+          } catch (e) {
+            log(tr("cache.delete_failed", { name: info.name, error: e }));
+          }
+          refresh();
+        });
+
+        row.append(head, body);
+        return row;
+      };
+
+      let loading = false;
+      const refresh = async () => {
+        if (!details.open || loading) return;
+        loading = true;
+        showEmpty(list, tr("common.loading"));
+        try {
+          const infos = await listCaches();
+          list.innerHTML = "";
+          if (infos === null) showEmpty(list, tr("cache.unsupported"));
+          else if (!infos.length) showEmpty(list, tr("cache.none"));
+          for (const info of infos || []) list.appendChild(buildCache(info));
+        } catch (e) {
+          list.innerHTML = "";
+          log(e);
+        } finally {
+          loading = false;
+        }
+      };
+
+      refreshBtn.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        refresh();
+      });
+      details.addEventListener("toggle", refresh);
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    // Cookie list with per-cookie deletion. Details and exact deletion need
+    // the Cookie Store API; otherwise names are expired on every variant.
+    _buildCookieInspector() {
+      const tr = this._tr;
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="sub cookie-note" hidden></div>
+          <div class="keys" role="list"></div>
+          <div class="browse-row sel-row">
+            <label><input type="checkbox" class="all"></label>
+          </div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = tr("cookies.browse");
+      const note = details.querySelector(".cookie-note");
+      note.textContent = tr("cookies.limited");
+      const list = details.querySelector(".keys");
+      const all = details.querySelector(".all");
+      all.after(` ${tr("common.select_all")}`);
+      const delSelected = makeButton(tr("common.delete_selected"), "plain");
+      details.querySelector(".sel-row").appendChild(delSelected);
+      const log = (msg) => this._log?.(`${typeLabel("cookies", tr)}: ${msg}`);
+
+      let items = [];
+      const selected = new Set();
+
+      let detailed = false;
+      const meta = (c) =>
+        [
+          detailed ? c.domain || tr("cookies.host_only") : "",
+          c.path,
+          c.expires
+            ? tr("cookies.expires", {
+                date: new Date(c.expires).toLocaleString(tr.lang),
+              })
+            : "",
+          detailed && c.expires === null ? tr("cookies.session") : "",
+          c.sameSite ? `SameSite=${c.sameSite}` : "",
+          c.secure ? "Secure" : "",
+          c.partitioned ? "Partitioned" : "",
+        ]
+          .filter(Boolean)
+          .join(" · ");
+
+      const draw = () => {
+        list.innerHTML = "";
+        if (!items.length) showEmpty(list, tr("cookies.none"));
+        for (const c of items) {
+          const id = cookieId(c);
+          const row = document.createElement("label");
+          row.setAttribute("role", "listitem");
+          const cb = document.createElement("input");
+          cb.type = "checkbox";
+          cb.checked = selected.has(id);
+          cb.addEventListener("change", () => {
+            if (cb.checked) selected.add(id);
+            else selected.delete(id);
+            all.checked = items.every((it) => selected.has(cookieId(it)));
+          });
+          const k = document.createElement("span");
+          k.className = "k";
+          k.textContent = c.name;
+          const n = document.createElement("span");
+          n.className = "n";
+          n.textContent = formatBytes(c.bytes);
+          const v = document.createElement("span");
+          v.className = "v";
+          v.textContent = meta(c) || c.value.slice(0, PREVIEW_CHARS);
+          row.append(cb, k, n, v);
+          list.appendChild(row);
+        }
+        all.checked =
+          items.length > 0 && items.every((c) => selected.has(cookieId(c)));
+      };
+
+      const refresh = async () => {
+        if (!details.open) return;
+        try {
+          const res = await listCookies();
+          items = res.cookies;
+          detailed = res.detailed;
+          note.hidden = detailed;
+        } catch (e) {
+          items = [];
+          log(e);
+        }
+        const present = new Set(items.map(cookieId));
+        for (const id of [...selected]) {
+          if (!present.has(id)) selected.delete(id);
+        }
+        draw();
+      };
+
+      all.addEventListener("change", () => {
+        for (const c of items) {
+          if (all.checked) selected.add(cookieId(c));
+          else selected.delete(cookieId(c));
+        }
+        draw();
+      });
+      delSelected.addEventListener("click", async (ev) => {
+        ev.preventDefault();
+        const targets = items.filter((c) => selected.has(cookieId(c)));
+        if (!targets.length) return;
+        const { errors, remaining } = await deleteCookies(targets);
+        for (const err of errors) log(tr("note.error", { error: err }));
+        log(
+          tr("cookies.removed", {
+            removed: targets.length - remaining.length,
+            count: targets.length,
+          })
+        );
+        if (remaining.length)
+          log(
+            tr("cookies.remaining", {
+              names: remaining.map(describeCookie).join(", "),
+            })
+          );
+        refresh();
+      });
+      details.addEventListener("toggle", refresh);
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    // Expandable list of service worker registrations with per-registration
+    // update, skip-waiting and unregister.
+    _buildSwInspector() {
+      const tr = this._tr;
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="keys" role="list"></div>
+          <div class="browse-row refresh-row"></div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = tr("sw.manage");
+      const list = details.querySelector(".keys");
+      const refreshBtn = makeButton(tr("common.refresh"), "plain");
+      details.querySelector(".refresh-row").appendChild(refreshBtn);
+      const log = (msg) => this._log?.(`${typeLabel("sw", tr)}: ${msg}`);
+
+      const buildReg = (info) => {
+        const row = document.createElement("div");
+        row.className = "item";
+        row.setAttribute("role", "listitem");
+        const head = document.createElement("div");
+        head.className = "item-head";
+        const k = document.createElement("span");
+        k.className = "k";
+        k.textContent = info.scope;
+        head.appendChild(k);
+
+        const script = document.createElement("div");
+        script.className = "v";
+        script.textContent = info.scriptURL;
+        const states = document.createElement("div");
+        states.className = "v";
+        states.textContent = ["installing", "waiting", "active"]
+          .map((w) => `${tr(`sw.${w}`)}: ${info[w] || "–"}`)
+          .join(" · ");
+
+        const act = document.createElement("div");
+        act.className = "browse-row";
+        const action = (label, fn) => {
+          const b = makeButton(label, "plain");
+          b.addEventListener("click", async (ev) => {
+            ev.preventDefault();
+            b.disabled = true;
+            try {
+              await fn();
+            } catch (e) {
+              log(
+                tr("sw.failed", {
+                  action: label.toLowerCase(),
+                  scope: info.scope,
+                  error: e,
+                })
+              );
+            }
+            refresh();
+          });
+          act.appendChild(b);
+        };
+        action(tr("sw.update"), async () => {
+          await info.registration.update();
+          log(tr("sw.update_checked", { scope: info.scope }));
+        });
+        if (info.waiting) {
+          action(tr("sw.skip_waiting"), async () => {
+            if (skipWaiting(info.registration))
+              log(tr("sw.skip_asked", { scope: info.scope }));
+          });
+        }
+        action(tr("sw.unregister"), async () => {
+          if (!confirm(tr("sw.confirm_unregister", { scope: info.scope })))
+            return;
+          const ok = await info.registration.unregister();
+          log(
+            tr(ok ? "sw.unregistered" : "sw.unregister_failed", {
+              scope: info.scope,
+            })
+          );
+        });
+
+        row.append(head, script, states, act);
+        return row;
+      };
+
+      let loading = false;
+      const refresh = async () => {
+        if (!details.open || loading) return;
+        loading = true;
+        showEmpty(list, tr("common.loading"));
+        try {
+          const regs = await listServiceWorkers();
+          list.innerHTML = "";
+          if (regs === null) showEmpty(list, tr("sw.unsupported"));
+          else if (!regs.length) showEmpty(list, tr("sw.none"));
+          for (const info of regs || []) list.appendChild(buildReg(info));
+        } catch (e) {
+          list.innerHTML = "";
+          log(e);
+        } finally {
+          loading = false;
+        }
+      };
+
+      refreshBtn.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        refresh();
+      });
+      details.addEventListener("toggle", refresh);
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    // Expandable list of IndexedDB databases with per-database deletion.
+    _buildDbInspector() {
+      const tr = this._tr;
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="sub note" hidden></div>
+          <div class="keys" role="list"></div>
+          <div class="browse-row refresh-row"></div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = tr("idb.inspect");
+      const note = details.querySelector(".note");
+      note.textContent = tr("idb.fallback");
+      const list = details.querySelector(".keys");
+      const refreshBtn = makeButton(tr("common.refresh"), "plain");
+      details.querySelector(".refresh-row").appendChild(refreshBtn);
+
+      const drawDb = (row, info) => {
+        row.innerHTML = "";
+        row.className = "item";
+        const head = document.createElement("div");
+        head.className = "item-head";
+        const k = document.createElement("span");
+        k.className = "k";
+        k.textContent = info.name;
+        const n = document.createElement("span");
+        n.className = "n";
+        n.textContent = info.exists
+          ? info.version === null
+            ? ""
+            : `v${info.version}`
+          : tr("idb.not_found");
+        head.append(k, n);
+
+        const stores = document.createElement("div");
+        stores.className = "v";
+        stores.textContent = info.error
+          ? info.error
+          : info.stores.length
+            ? info.stores.map((st) => `${st.name} (${st.count})`).join(", ")
+            : info.exists
+              ? tr("idb.no_stores")
+              : "";
+
+        const status = document.createElement("div");
+        status.className = "status";
+        status.hidden = true;
+
+        const del = makeButton(tr("common.delete"), "plain");
+        const retry = makeButton(tr("common.retry"), "plain");
+        retry.hidden = true;
+
+        const run = async () => {
+          del.disabled = true;
+          retry.hidden = true;
+          status.hidden = false;
+          status.className = "status";
+          status.textContent = tr("idb.deleting");
+          const { status: result, error } = await deleteIndexedDB(
+            info.name,
+            stepTimeouts(this._config.step_timeouts, "idb")
+          );
+          status.textContent = tr(`idb.${result}`);
+          this._log?.(
+            `${typeLabel("idb", tr)}: "${info.name}" ${
+              error || tr(`idb.${result}`)
+            }`
+          );
+          if (result === "success") {
+            status.classList.add("ok");
+            row.classList.add("gone");
+          } else {
+            status.classList.add("bad");
+            retry.hidden = false;
+            del.disabled = false;
+          }
+        };
+        del.addEventListener("click", (ev) => {
+          ev.preventDefault();
+          if (confirm(tr("idb.confirm_delete", { name: info.name }))) run();
+        });
+        retry.addEventListener("click", (ev) => {
+          ev.preventDefault();
+          run();
+        });
+        if (info.exists) head.append(del, retry);
+
+        row.append(head, stores, status);
+        if (!info.exists) row.classList.add("gone");
+      };
+
+      let loading = false;
+      const refresh = async () => {
+        if (!details.open || loading) return;
+        loading = true;
+        showEmpty(list, tr("common.loading"));
+        try {
+          const { enumerated, databases } = await inspectIndexedDB();
+          note.hidden = enumerated;
+          list.innerHTML = "";
+          if (!databases.length) showEmpty(list, tr("idb.none"));
+          for (const info of databases) {
+            const row = document.createElement("div");
+            row.setAttribute("role", "listitem");
+            drawDb(row, info);
+            list.appendChild(row);
+          }
+        } catch (e) {
+          list.innerHTML = "";
+          this._log?.(`${typeLabel("idb", tr)}: ${e}`);
+        } finally {
+          loading = false;
+        }
+      };
+
+      refreshBtn.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        refresh();
+      });
+      details.addEventListener("toggle", refresh);
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    // Expandable list of named entries with sizes and per-entry deletion,
+    // used for OPFS and storage buckets. `load` resolves [{ name, bytes }]
+    // or null when the browser lacks the API.
+    _buildEntryInspector({ label, summary, load, describe, remove }) {
+      const tr = this._tr;
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="keys" role="list"></div>
+          <div class="browse-row refresh-row"></div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = summary;
+      const list = details.querySelector(".keys");
+      const refreshBtn = makeButton(tr("common.refresh"), "plain");
+      details.querySelector(".refresh-row").appendChild(refreshBtn);
+      const log = (msg) => this._log?.(`${label}: ${msg}`);
+
+      const buildEntry = (entry) => {
+        const row = document.createElement("div");
+        row.className = "item";
+        row.setAttribute("role", "listitem");
+        const head = document.createElement("div");
+        head.className = "item-head";
+        const k = document.createElement("span");
+        k.className = "k";
+        k.textContent = entry.name;
+        const n = document.createElement("span");
+        n.className = "n";
+        n.textContent = formatBytes(entry.bytes);
+        const del = makeButton(tr("common.delete"), "plain");
+        del.addEventListener("click", async (ev) => {
+          ev.preventDefault();
+          if (
+            !confirm(tr("common.confirm_delete", { name: entry.name, label }))
+          )
+            return;
+          del.disabled = true;
+          try {
+            await remove(entry.name);
+            log(tr("common.removed", { name: entry.name }));
+            row.classList.add("gone");
+          } catch (e) {
+            log(tr("common.remove_failed", { name: entry.name, error: e }));
+            del.disabled = false;
+          }
+        });
+        head.append(k, n, del);
+        const v = document.createElement("div");
+        v.className = "v";
+        v.textContent = describe(entry);
+        row.append(head, v);
+        return row;
+      };
+
+      let loading = false;
+      const refresh = async () => {
+        if (!details.open || loading) return;
+        loading = true;
+        showEmpty(list, tr("common.loading"));
+        try {
+          const entries = await load();
+          list.innerHTML = "";
+          if (entries === null) showEmpty(list, tr("common.unsupported"));
+          else if (!entries.length) showEmpty(list, tr("common.empty"));
+          for (const entry of entries || [])
+            list.appendChild(buildEntry(entry));
+        } catch (e) {
+          list.innerHTML = "";
+          log(e);
+        } finally {
+          loading = false;
+        }
+      };
+
+      refreshBtn.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        refresh();
+      });
+      details.addEventListener("toggle", refresh);
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    // localStorage key categories; unchecking one keeps its keys.
+    _buildCategoryPicker() {
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body cat-list"></div>
+      `;
+      details.querySelector("summary").textContent =
+        this._tr("keys.categories");
+      const list = details.querySelector(".cat-list");
+      for (const cat of this._catalog) {
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = true;
+        box.dataset.category = cat.id;
+        label.append(box, ` ${cat.label}`);
+        list.appendChild(label);
+      }
+      return details;
+    }
+
+    // Expandable key list for localStorage ("ls") or sessionStorage ("ss").
+    _buildKeyBrowser(area) {
+      const tr = this._tr;
+      const storage = webStorageFor(area);
+      const name = typeLabel(area, tr);
+
+      const details = document.createElement("details");
+      details.className = "browse";
+      details.innerHTML = `
+        <summary></summary>
+        <div class="browse-body">
+          <div class="browse-row">
+            <input type="text" class="search">
+          </div>
+          <div class="keys" role="list"></div>
+          <div class="browse-row sel-row">
+            <label><input type="checkbox" class="all"></label>
+          </div>
+          <div class="browse-row pat-row">
+            <input type="text" class="pattern">
+          </div>
+        </div>
+      `;
+      details.querySelector("summary").textContent = tr("keys.browse");
+
+      const search = details.querySelector(".search");
+      setHint(search, tr("keys.search"), tr("keys.search"));
+      const list = details.querySelector(".keys");
+      const all = details.querySelector(".all");
+      all.after(` ${tr("keys.select_shown")}`);
+      const pattern = details.querySelector(".pattern");
+      setHint(pattern, tr("keys.pattern"), tr("keys.pattern_label"));
+
+      const delSelected = makeButton(tr("common.delete_selected"), "plain");
+      details.querySelector(".sel-row").appendChild(delSelected);
+      const delMatching = makeButton(tr("common.delete_matching"), "plain");
+      details.querySelector(".pat-row").appendChild(delMatching);
+
+      let items = [];
+      const selected = new Set();
+
+      const shown = () => {
+        const q = search.value.trim().toLowerCase();
+        return q
+          ? items.filter((it) => it.key.toLowerCase().includes(q))
+          : items;
+      };
+
+      const drawKey = (it) => {
+        const row = document.createElement("label");
+        row.setAttribute("role", "listitem");
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.checked = selected.has(it.key);
+        cb.addEventListener("change", () => {
+          if (cb.checked) selected.add(it.key);
+          else selected.delete(it.key);
+        });
+        const k = document.createElement("span");
+        k.className = "k";
+        k.textContent = it.key;
+        const n = document.createElement("span");
+        n.className = "n";
+        n.textContent = formatBytes(it.bytes);
+        const v = document.createElement("span");
+        v.className = "v";
+        v.textContent = it.preview;
+        row.append(cb, k, n, v);
+        if (it.description) {
+          const d = document.createElement("span");
+          d.className = "v";
+          d.textContent = it.description;
+          row.appendChild(d);
+        }
+        list.appendChild(row);
+      };
+
+      const draw = () => {
+        const rows = shown();
+        list.innerHTML = "";
+        if (!rows.length) {
+          const empty = document.createElement("div");
+          empty.className = "empty";
+          empty.textContent = tr(items.length ? "keys.no_match" : "keys.none");
+          list.appendChild(empty);
+        }
+        const groups = new Map(this._catalog.map((cat) => [cat.id, []]));
+        for (const it of rows) {
+          const { category, description } = classifyKey(this._catalog, it.key);
+          groups.get(category.id).push({ ...it, description });
+        }
+        for (const cat of this._catalog) {
+          const members = groups.get(cat.id);
+          if (!members.length) continue;
+          const head = document.createElement("div");
+          head.className = "group";
+          head.textContent = cat.label;
+          list.appendChild(head);
+          for (const it of members) drawKey(it);
+        }
+        all.checked =
+          rows.length > 0 && rows.every((it) => selected.has(it.key));
+      };
+
+      const refresh = () => {
+        try {
+          items = listWebStorage(storage);
+        } catch (e) {
+          items = [];
+          this._log?.(`${name}: ${e}`);
+        }
+        const present = new Set(items.map((it) => it.key));
+        for (const key of [...selected]) {
+          if (!present.has(key)) selected.delete(key);
+        }
+        draw();
+      };
+
+      const remove = (keys) => {
+        const { removed, errors } = removeWebStorageKeys(storage, keys);
+        for (const err of errors)
+          this._log?.(`${name}: ${tr("note.error", { error: err })}`);
+        this._log?.(
+          `${name}: ${tr("keys.removed", { count: removed.length })}`
+        );
+        refresh();
+      };
+
+      search.addEventListener("input", draw);
+      all.addEventListener("change", () => {
+        for (const it of shown()) {
+          if (all.checked) selected.add(it.key);
+          else selected.delete(it.key);
+        }
+        draw();
+      });
+      delSelected.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        if (selected.size) remove([...selected]);
+      });
+      delMatching.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        const p = pattern.value.trim();
+        if (!p) return;
+        const keys = items
+          .map((it) => it.key)
+          .filter((key) => matchesPrefixOrGlob(key, p));
+        if (!keys.length) {
+          this._log?.(
+            `${name}: ${tr("keys.pattern_no_match", { pattern: p })}`
+          );
+          return;
+        }
+        if (
+          !confirm(
+            tr("keys.confirm_matching", {
+              count: keys.length,
+              area: name,
+              pattern: p,
+            })
+          )
+        )
+          return;
+        remove(keys);
+      });
+      details.addEventListener("toggle", () => {
+        if (details.open) refresh();
+      });
+
+      this._browsers.push(refresh);
+      return details;
+    }
+
+    async _runSelected(log) {
+      const tr = this._tr;
+      const d = this._dialog;
+      const get = (id) => d.querySelector(id).checked;
+
+      const ids = this._selectedIds();
+
+      this._setBusy(true);
+
+      try {
+        if (d?.open) d.close();
+      } catch {}
+
+      if (get("#opt-backup")) {
+        log(tr("run.backup_saving"));
+        try {
+          const { bytes } = await downloadBackup(log);
+          log(tr("run.backup_done", { size: formatBytes(bytes) }));
+        } catch (e) {
+          log(tr("run.backup_failed", { error: e }));
+          this._setBusy(false);
+          return;
+        }
+      }
+
+      log(tr("run.clearing"));
+
+      this._abort = new AbortController();
+      this._startProgress(ids);
+      let cancelled = false;
+      try {
+        const preset = this._activePreset;
+        const report = await runClear({
+          ids,
+          keep: this._keepMatchers(),
+          trigger: preset
+            ? preset.trigger || `preset:${preset.name}`
+            : "manual",
+          otherTabs: this._config.other_tabs,
+          timeouts: this._config.step_timeouts,
+          signal: this._abort.signal,
+          onProgress: (p) => this._updateProgress(p),
+          log,
+          tr,
+        });
+        cancelled = report.cancelled;
+        this._showReport(report);
+        this.dispatchEvent(
+          new CustomEvent("nuke-storage-report", {
+            detail: report,
+            bubbles: true,
+            composed: true,
+          })
+        );
+        await logStorageState(log, tr);
+        await this._recordRun(report);
+      } finally {
+        this._stopProgress();
+        d.close();
+        if (cancelled) {
+          log(tr("run.cancelled"));
+          this._setBusy(false);
+        } else this._afterClear();
+      }
+    }
+
+    // Run the configured `after_clear` action, optionally behind a
+    // cancelable countdown. Without a page change the report stays up.
+    _afterClear() {
+      const opts = normalizeAfterClear(this._config.after_clear);
+      const hash = this._reportHash || "";
+      this._reportHash = null;
+      if (opts.action === "none") {
+        this._setBusy(false);
+        return;
+      }
+      if (!opts.countdown || !this._countdownEl) {
+        setTimeout(() => performAfterClear(opts, hash), opts.delay * 1000);
+        return;
+      }
+
+      const el = this._countdownEl;
+      const text = el.querySelector(".countdown-text");
+      const deadline = Date.now() + opts.delay * 1000;
+      const tick = () => {
+        const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        text.textContent = this._tr(`countdown.${opts.action}`, {
+          seconds: left,
+        });
+        if (Date.now() >= deadline) {
+          clearInterval(this._countdownTimer);
+          this._countdownTimer = null;
+          performAfterClear(opts, hash);
+        }
+      };
+      el.hidden = false;
+      tick();
+      this._countdownTimer = setInterval(tick, 250);
+    }
+
+    // Save the run to the history. When the page is about to change and
+    // saving fails, the summary goes into the reload URL instead.
+    async _recordRun(report) {
+      const summary = summarizeReport(report);
+      const leaving =
+        !report.cancelled &&
+        normalizeAfterClear(this._config.after_clear).action !== "none";
+      if (!leaving) summary.pending = false;
+      this._lastRunChecked = false;
+      try {
+        if (!this._hass?.callWS) throw new Error("not connected");
+        await Promise.race([
+          recordRun(this._hass, summary),
+          new Promise((_, reject) =>
+            setTimeout(
+              () => reject(new Error("timed out")),
+              HISTORY_SAVE_TIMEOUT_MS
+            )
+          ),
+        ]);
+      } catch (e) {
+        this._log?.(this._tr("history.not_saved", { error: e?.message || e }));
+        if (leaving) this._reportHash = reportHash(summary);
+      }
+      if (this._historyEl?.open) this._refreshHistory();
+    }
+
+    // Show the "Last nuke" summary after a reload, once per instance.
+    async _checkLastRun() {
+      if (this._lastRunChecked || !this._hass?.callWS || !this._lastRunEl)
+        return;
+      this._lastRunChecked = true;
+      const fromHash = takeHashSummary();
+      if (fromHash) {
+        this._showLastRun(fromHash);
+        return;
+      }
+      try {
+        const browserId = getBrowserId(false);
+        const entry = (await loadHistory(this._hass)).find(
+          (h) =>
+            h.pending &&
+            h.origin === location.origin &&
+            (h.browser_id ?? null) === browserId
+        );
+        if (entry) this._showLastRun(entry);
+      } catch {}
+    }
+
+    _showLastRun(summary) {
+      const el = this._lastRunEl;
+      this._lastRun = summary;
+      el.innerHTML = `
+        <div class="last-head">
+          <strong></strong>
+          <span class="sub"></span>
+        </div>
+        <ul></ul>
+      `;
+      el.querySelector(".last-head strong").textContent =
+        this._tr("history.last");
+      el.querySelector(".last-head .sub").textContent = summaryTitle(
+        summary,
+        this._tr
+      );
+      const ul = el.querySelector("ul");
+      for (const line of summaryLines(summary, this._tr)) {
+        const li = document.createElement("li");
+        li.textContent = line;
+        ul.appendChild(li);
+      }
+      const dismiss = makeButton(this._tr("history.dismiss"), "plain");
+      dismiss.addEventListener("click", () => {
+        el.hidden = true;
+        this._lastRun = null;
+        if (summary.pending && this._hass?.callWS)
+          markSeen(this._hass, summary.id).catch(() => {});
+      });
+      el.querySelector(".last-head").appendChild(dismiss);
+      el.classList.toggle("bad", summaryFailed(summary));
+      el.hidden = false;
+    }
+
+    async _refreshHistory() {
+      const tr = this._tr;
+      const list = this._historyEl.querySelector(".history-list");
+      if (!this._hass?.callWS) {
+        showEmpty(list, tr("history.not_connected"));
+        return;
+      }
+      let history;
+      try {
+        history = await loadHistory(this._hass);
+      } catch (e) {
+        list.textContent = String(e);
+        return;
+      }
+      list.innerHTML = "";
+      if (!history.length) showEmpty(list, tr("history.none"));
+      for (const entry of history) {
+        const item = document.createElement("details");
+        item.className = "history-item";
+        const title = document.createElement("summary");
+        title.textContent = summaryTitle(entry, tr);
+        if (summaryFailed(entry)) title.classList.add("bad");
+        const body = document.createElement("div");
+        body.className = "v";
+        body.textContent = summaryLines(entry, tr).join("\n");
+        item.append(title, body);
+        list.appendChild(item);
+      }
+    }
+
+    // Per-step progress while a run is in progress.
+    _startProgress(ids) {
+      const tr = this._tr;
+      const el = this._progressEl;
+      if (!el) return;
+      el.innerHTML = `
+        <div class="progress-head">
+          <span class="progress-text"></span>
         </div>
+        <div class="bar"><span></span></div>
+        <div class="progress-steps"></div>
       `;
+      const cancel = makeButton(tr("progress.cancel"), "plain");
+      cancel.addEventListener("click", () => {
+        this._abort?.abort();
+        cancel.disabled = true;
+        el.querySelector(".progress-text").textContent = tr(
+          "progress.cancelling"
+        );
+      });
+      el.querySelector(".progress-head").appendChild(cancel);
 
-      const actionsDiv = document.createElement("div");
-      actionsDiv.className = "dlg-actions";
+      const list = el.querySelector(".progress-steps");
+      this._progress = { rows: new Map(), finished: 0, total: 0 };
+      for (const t of STORAGE_TYPES) {
+        if (!ids.has(t.id)) continue;
+        const row = document.createElement("div");
+        row.className = "progress-step pending";
+        row.innerHTML = `<span class="label"></span><span class="state"></span><span class="n"></span>`;
+        row.querySelector(".label").textContent = typeLabel(t.id, tr);
+        row.querySelector(".state").textContent = tr("progress.pending");
+        list.appendChild(row);
+        this._progress.rows.set(t.id, { row, started: 0 });
+        this._progress.total++;
+      }
+      this._drawProgress();
+      el.hidden = false;
+      this._progressTimer = setInterval(() => this._tickProgress(), 250);
+    }
 
-      const cancelBtn = document.createElement(buttonTag);
-      cancelBtn.id = "dlg-cancel";
-      if (buttonTag === "button") cancelBtn.className = "fallback plain";
-      cancelBtn.textContent = "Cancel";
-      if (buttonTag === "ha-button") {
-        cancelBtn.label = "Cancel";
-        cancelBtn.setAttribute("appearance", "plain");
+    _updateProgress({ type, status, step }) {
+      const entry = this._progress?.rows.get(type);
+      if (!entry) return;
+      entry.row.className = `progress-step ${status}`;
+      entry.row.querySelector(".state").textContent = this._tr(
+        `progress.${status}`
+      );
+      if (status === "running") entry.started = performance.now();
+      else {
+        if (step)
+          entry.row.querySelector(".n").textContent = `${(
+            step.duration_ms / 1000
+          ).toFixed(1)} s`;
+        this._progress.finished++;
       }
-      cancelBtn.addEventListener("click", () => {
-        this._dialog.close();
-      });
+      this._drawProgress();
+    }
 
-      const okBtn = document.createElement(buttonTag);
-      okBtn.id = "dlg-ok";
-      if (buttonTag === "button") okBtn.className = "fallback brand";
-      okBtn.textContent = "Clear";
-      okBtn.setAttribute("variant", "danger");
-      if (buttonTag === "ha-button") {
-        okBtn.label = "Nuke";
+    _tickProgress() {
+      for (const { row, started } of this._progress?.rows.values() || []) {
+        if (!row.classList.contains("running")) continue;
+        row.querySelector(".n").textContent = `${(
+          (performance.now() - started) /
+          1000
+        ).toFixed(1)} s`;
       }
+    }
 
-      actionsDiv.append(cancelBtn, okBtn);
-      this._dialog.append(dlgDiv, actionsDiv);
+    _drawProgress() {
+      const el = this._progressEl;
+      const { finished, total } = this._progress;
+      if (!this._abort?.signal.aborted)
+        el.querySelector(".progress-text").textContent = this._tr(
+          "progress.count",
+          { finished, count: total }
+        );
+      el.querySelector(".bar > span").style.width = `${
+        total ? (finished / total) * 100 : 100
+      }%`;
+    }
 
-      // card
-      const card = document.createElement("ha-card");
-      card.header = c.title;
+    _stopProgress() {
+      if (this._progressTimer) clearInterval(this._progressTimer);
+      this._progressTimer = null;
+      this._progress = null;
+      this._abort = null;
+      if (this._progressEl) this._progressEl.hidden = true;
+    }
 
-      const style = document.createElement("style");
-      style.textContent = `
-        /* Minimize ha-card overrides to respect default :host styles */
-        ha-card {
-          padding: 0;
-        }
-        .wrap { padding: 16px; display: grid; gap: 12px; }
-        p { margin: 0; opacity: .9; }
-        .actions { display: flex; gap: 8px; align-items: center; }
-        /* Minimal ha-button styling to align with Home Assistant defaults */
-        ha-button, button.fallback {
-          display: inline-flex;
-          align-items: center;
-          justify-content: center;
-          cursor: pointer;
-        }
-        ha-button[appearance="brand"], button.brand {
-          background: var(--primary-color, #03a9f4);
-          color: var(--text-primary-color, #ffffff);
-          border-radius: 4px;
-          font-weight: 500;
-        }
-        ha-button[appearance="plain"], button.plain {
-          background: none;
-          color: var(--secondary-text-color, #808080);
-          border: none;
-        }
-        ha-button[raised], button.fallback[raised] {
-          box-shadow: var(--ha-card-box-shadow, 0 2px 4px rgba(0,0,0,0.2));
-        }
-        ha-button[disabled], button.fallback[disabled] {
-          opacity: 0.6;
-          cursor: not-allowed;
-        }
-        .log {
-          font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
-          font-size: 12px;
-          background: var(--card-background-color, #ffffff);
-          border: 1px solid var(--divider-color, #e0e0e0);
-          border-radius: 10px;
-          padding: 8px;
-          max-height: 180px;
-          overflow: auto;
-          white-space: pre-wrap;
-        }
-        dialog {
-          border: none;
-          border-radius: 12px;
-          padding: 0;
-          max-width: 520px;
-          width: 92vw;
-          color: var(--primary-text-color, #000000);
-          background: var(--card-background-color, #ffffff);
-          box-shadow: var(--ha-card-box-shadow, 0 2px 6px rgba(0,0,0,.2));
-        }
-        .dlg {
-          padding: 16px;
-          display: grid;
-          gap: 12px;
-        }
-        .chk-grid { display: grid; gap: 8px; }
-        .dlg-actions {
-          display: flex;
-          justify-content: flex-end;
-          gap: 8px;
-          padding: 0 16px 16px 16px;
-        }
-        .dlg h3 { margin: 0 0 4px 0; font-size: 1.1rem; }
-        .sub { opacity: .8; font-size: .9rem; }
-        label { display: flex; align-items: center; gap: 8px; cursor: pointer; }
-        input[type="checkbox"] { transform: scale(1.15); }
+    _cancelAfterClear() {
+      if (this._countdownTimer) clearInterval(this._countdownTimer);
+      this._countdownTimer = null;
+      if (this._countdownEl) this._countdownEl.hidden = true;
+      this._log?.(this._tr("run.stay"));
+      this._setBusy(false);
+    }
+
+    // Before/after table for a finished run, with copy buttons.
+    _showReport(report) {
+      const tr = this._tr;
+      const el = this._reportEl;
+      if (!el) return;
+      el.innerHTML = `
+        <table>
+          <thead>
+            <tr></tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+        <div class="sub report-tabs"></div>
+        <div class="actions report-actions"></div>
       `;
+      const headRow = el.querySelector("thead tr");
+      for (const c of ["type", "before", "after", "removed", "notes"]) {
+        const th = document.createElement("th");
+        th.textContent = tr(`report.${c}`);
+        headRow.appendChild(th);
+      }
+      el.querySelector(".report-tabs").textContent = report.tabs?.supported
+        ? describeTabs(report.tabs, tr).join(". ")
+        : "";
+      const tbody = el.querySelector("tbody");
+      for (const step of report.steps) {
+        const row = document.createElement("tr");
+        const notes = [...stepNotes(step, tr), ...step.errors];
+        for (const v of [
+          step.label,
+          countOrUnknown(step.before),
+          countOrUnknown(step.after),
+          step.removed.length,
+          notes.join("; ") || "–",
+        ]) {
+          const td = document.createElement("td");
+          td.textContent = v;
+          row.appendChild(td);
+        }
+        if (step.errors.length || step.blocked.length || step.remaining?.length)
+          row.className = "bad";
+        tbody.appendChild(row);
+      }
 
-      const wrap = document.createElement("div");
-      wrap.className = "wrap";
+      const copy = (label, text) => {
+        const b = makeButton(label, "plain");
+        b.addEventListener("click", async () => {
+          try {
+            await copyText(text());
+            this._log?.(tr("report.copied", { label }));
+          } catch (e) {
+            this._log?.(`${label}: ${e}`);
+          }
+        });
+        return b;
+      };
+      el.querySelector(".report-actions").append(
+        copy(tr("report.copy_json"), () => JSON.stringify(report, null, 2)),
+        copy(tr("report.copy_markdown"), () => reportToMarkdown(report, tr))
+      );
+      el.hidden = false;
+    }
 
-      const desc = document.createElement("p");
-      desc.textContent = c.description;
-      wrap.appendChild(desc);
+    async _restoreFromFile(file, log) {
+      const tr = this._tr;
+      let snapshot;
+      try {
+        snapshot = JSON.parse(await file.text());
+      } catch (e) {
+        log(tr("restore.unreadable", { file: file.name, error: e }));
+        return;
+      }
+      if (
+        snapshot?.origin &&
+        snapshot.origin !== location.origin &&
+        !confirm(
+          tr("restore.other_origin", {
+            origin: snapshot.origin,
+            current: location.origin,
+          })
+        )
+      )
+        return;
+      if (
+        !confirm(
+          tr("restore.confirm", { created: snapshot?.created || file.name })
+        )
+      )
+        return;
 
-      if (c.show_details) {
-        this._logEl = document.createElement("div");
-        this._logEl.className = "log";
-        this._logEl.setAttribute("aria-live", "polite");
-        this._logEl.setAttribute(
-          "aria-label",
-          "Log of storage clearing operations"
+      log(tr("restore.running"));
+      try {
+        const r = await restoreBackup(snapshot, log);
+        log(
+          tr("restore.done", {
+            ls: r.localStorage,
+            ss: r.sessionStorage,
+            cookies: r.cookies,
+            idb: r.indexedDB,
+          })
         );
-        this._logEl.textContent = "";
-        wrap.appendChild(this._logEl);
+      } catch (e) {
+        log(tr("restore.failed", { error: e }));
+        return;
+      }
+      setTimeout(() => location.reload(), 200);
+    }
+  }
 
-        const log = (msg) => {
-          this._logEl.textContent += msg + "\n";
-        };
-      
-        // Populate initial storage state
-        logStorageState(log);
+  // Entities card row; the same element in `mode: row`.
+  class NukeStorageRow extends NukeStorageCard {
+    setConfig(config) {
+      super.setConfig({ ...(config || {}), mode: "row" });
+    }
+  }
 
-        okBtn.addEventListener("click", async (ev) => {
-          ev.preventDefault();
-          this._logEl.textContent = "";
-          await this._runSelected(log);
-        });
+  // -------- Editor --------
+  const typeOptions = (tr) =>
+    STORAGE_TYPES.map((t) => ({ value: t.key, label: typeLabel(t.id, tr) }));
 
-      } else {
-        this._logEl = null;
-        const log = (msg) => {
-          console.info(msg + "\n");
-        };
-        okBtn.addEventListener("click", async (ev) => {
-          ev.preventDefault();
-          await this._runSelected(log);
-        });
-      }
+  const selectOf = (values, labels = {}) => ({
+    select: {
+      mode: "dropdown",
+      options: values.map((v) => ({ value: v, label: labels[v] || v })),
+    },
+  });
 
-      const actions = document.createElement("div");
-      actions.className = "actions";
+  // ha-form schema for every card option. Built on demand so storage types
+  // registered by providers show up too.
+  const editorSchema = (tr = defaultTr) => [
+    { name: "title", label: tr("editor.title"), selector: { text: {} } },
+    {
+      name: "description",
+      label: tr("editor.description"),
+      selector: { text: { multiline: true } },
+    },
+    {
+      type: "grid",
+      name: "appearance",
+      schema: [
+        {
+          name: "mode",
+          label: tr("editor.mode"),
+          selector: selectOf(MODES, {
+            card: tr("editor.mode.card"),
+            tile: tr("editor.mode.tile"),
+            row: tr("editor.mode.row"),
+          }),
+        },
+        { name: "icon", label: tr("editor.icon"), selector: { icon: {} } },
+        {
+          name: "button_label",
+          label: tr("editor.button_label"),
+          selector: { text: {} },
+        },
+      ],
+    },
+    {
+      name: "default_checked",
+      label: tr("editor.default_checked"),
+      helper: tr("editor.default_checked_helper"),
+      selector: {
+        select: { multiple: true, mode: "list", options: typeOptions(tr) },
+      },
+    },
+    {
+      type: "expandable",
+      name: "display",
+      title: tr("editor.display"),
+      flatten: true,
+      schema: [
+        {
+          name: "show_details",
+          label: tr("editor.show_details"),
+          selector: { boolean: {} },
+        },
+        {
+          name: "show_usage",
+          label: tr("editor.show_usage"),
+          selector: { boolean: {} },
+        },
+        {
+          type: "grid",
+          name: "usage_levels",
+          schema: [
+            {
+              name: "usage_warning",
+              label: tr("editor.usage_warning"),
+              selector: { number: { min: 1, max: 100, mode: "box" } },
+            },
+            {
+              name: "usage_critical",
+              label: tr("editor.usage_critical"),
+              selector: { number: { min: 1, max: 100, mode: "box" } },
+            },
+            {
+              name: "usage_refresh",
+              label: tr("editor.usage_refresh"),
+              selector: { number: { min: 0, mode: "box" } },
+            },
+          ],
+        },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "after_clear",
+      title: tr("editor.after_clear"),
+      schema: [
+        {
+          name: "action",
+          label: tr("editor.action"),
+          selector: selectOf(AFTER_CLEAR_ACTIONS, {
+            none: tr("editor.after.none"),
+            reload: tr("editor.after.reload"),
+            hard_reload: tr("editor.after.hard_reload"),
+            navigate: tr("editor.after.navigate"),
+            login: tr("editor.after.login"),
+          }),
+        },
+        {
+          name: "delay",
+          label: tr("editor.delay"),
+          selector: { number: { min: 0, step: 0.1, mode: "box" } },
+        },
+        {
+          name: "countdown",
+          label: tr("editor.countdown"),
+          selector: { boolean: {} },
+        },
+        { name: "path", label: tr("editor.path"), selector: { text: {} } },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "confirmation",
+      title: tr("editor.confirmation"),
+      schema: [
+        {
+          name: "mode",
+          label: tr("editor.confirmation_mode"),
+          selector: selectOf(CONFIRMATION_MODES, {
+            none: tr("editor.confirm.none"),
+            word: tr("editor.confirm.word"),
+            hold: tr("editor.confirm.hold"),
+            pin: tr("editor.confirm.pin"),
+          }),
+        },
+        { name: "word", label: tr("editor.word"), selector: { text: {} } },
+        {
+          name: "hold_seconds",
+          label: tr("editor.hold_seconds"),
+          selector: { number: { min: 0.5, step: 0.5, mode: "box" } },
+        },
+        {
+          name: "pin",
+          label: tr("editor.pin"),
+          helper: tr("editor.pin_helper"),
+          selector: { text: { type: "password" } },
+        },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "access",
+      title: tr("editor.access"),
+      flatten: true,
+      schema: [
+        {
+          name: "require_admin",
+          label: tr("editor.require_admin"),
+          selector: { boolean: {} },
+        },
+        {
+          name: "allowed_users",
+          label: tr("editor.allowed_users"),
+          helper: tr("editor.allowed_users_helper"),
+          selector: { text: { multiple: true } },
+        },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "preserve",
+      title: tr("editor.preserve"),
+      schema: STORAGE_TYPES.filter((t) => t.preservable).map((t) => ({
+        name: t.key,
+        label: typeLabel(t.id, tr),
+        helper: tr("editor.preserve_helper"),
+        selector: { text: { multiple: true } },
+      })),
+    },
+    {
+      type: "expandable",
+      name: "other_tabs",
+      title: tr("editor.other_tabs"),
+      schema: [
+        {
+          name: "action",
+          label: tr("editor.action"),
+          selector: selectOf(OTHER_TAB_ACTIONS, {
+            reload: tr("editor.tabs.reload"),
+            close: tr("editor.tabs.close"),
+            ignore: tr("editor.tabs.ignore"),
+          }),
+        },
+        {
+          name: "timeout",
+          label: tr("editor.tabs_timeout"),
+          selector: { number: { min: 0.1, step: 0.1, mode: "box" } },
+        },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "remote",
+      title: tr("editor.remote"),
+      flatten: true,
+      schema: [
+        {
+          name: "remote_trigger",
+          label: tr("editor.remote_trigger"),
+          selector: { boolean: {} },
+        },
+        {
+          name: "remote_event",
+          label: tr("editor.remote_event"),
+          selector: { text: {} },
+        },
+        {
+          name: "url_trigger",
+          label: tr("editor.url_trigger"),
+          helper: tr("editor.url_trigger_helper"),
+          selector: { boolean: {} },
+        },
+        {
+          name: "url_trigger_countdown",
+          label: tr("editor.url_trigger_countdown"),
+          selector: { number: { min: RESCUE_MIN_COUNTDOWN, mode: "box" } },
+        },
+      ],
+    },
+    {
+      type: "expandable",
+      name: "advanced",
+      title: tr("editor.advanced"),
+      flatten: true,
+      schema: [
+        "presets",
+        "tap_action",
+        "hold_action",
+        "auto_clear",
+        "step_timeouts",
+        "key_catalog",
+        "strings",
+      ].map((name) => ({
+        name,
+        label: tr(`editor.${name}`),
+        selector: { object: {} },
+      })),
+    },
+  ];
 
-      const btn = document.createElement(buttonTag);
-      if (buttonTag === "button") btn.className = "fallback";
-      btn.textContent = c.button_label;
-      if (buttonTag === "ha-button") btn.label = c.button_label;
-      btn.setAttribute("raised", "");
-      btn.addEventListener("click", () => this._openDialog());
-      actions.appendChild(btn);
-      wrap.appendChild(actions);
-      card.appendChild(style);
-      card.appendChild(wrap);
-      card.appendChild(this._dialog);
+  // Config values in the shapes the form edits: shorthand strings become
+  // objects and pattern strings become lists.
+  const formData = (c) => {
+    const objectOf = (v, key) =>
+      typeof v === "string" ? { [key]: v } : v || undefined;
+    const preserve = {};
+    for (const [key, v] of Object.entries(c.preserve || {}))
+      preserve[key] = toPatternList(v);
+    return {
+      ...c,
+      default_checked:
+        c.default_checked === undefined ? undefined : asList(c.default_checked),
+      after_clear: objectOf(c.after_clear, "action"),
+      confirmation: objectOf(c.confirmation, "mode"),
+      other_tabs: objectOf(c.other_tabs, "action"),
+      allowed_users:
+        c.allowed_users === undefined ? undefined : asList(c.allowed_users),
+      preserve,
+    };
+  };
 
-      this.shadowRoot.innerHTML = "";
-      this.shadowRoot.appendChild(card);
+  const isPlainObject = (v) =>
+    v !== null && typeof v === "object" && !Array.isArray(v);
+
+  // Drop empty strings, lists and objects so the YAML stays short.
+  const cleanConfig = (value) => {
+    if (Array.isArray(value)) return value.filter((v) => v !== "");
+    if (!isPlainObject(value)) return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const cleaned = cleanConfig(v);
+      if (cleaned === undefined || cleaned === null || cleaned === "") continue;
+      if (Array.isArray(cleaned) && !cleaned.length) continue;
+      if (isPlainObject(cleaned) && !Object.keys(cleaned).length) continue;
+      out[k] = cleaned;
     }
+    return out;
+  };
 
-    _openDialog() {
-      if (!this._dialog.open) this._dialog.showModal();
+  // What the editor writes back: the cleaned config without the keys that
+  // still hold their DEFAULTS value.
+  const editorOutput = (config) => {
+    const out = cleanConfig(config);
+    for (const [k, v] of Object.entries(DEFAULTS))
+      if (JSON.stringify(out[k]) === JSON.stringify(v)) delete out[k];
+    return out;
+  };
+
+  // Problems with a config, as messages for the editor.
+  const validateConfig = (c, tr = defaultTr) => {
+    const errors = [];
+    if (c.mode !== undefined && !MODES.includes(c.mode))
+      errors.push(tr("validate.mode", { modes: MODES.join(", ") }));
+    const known = new Set(["all", ...STORAGE_TYPES.map((t) => t.key)]);
+    for (const key of asList(c.default_checked)) {
+      if (!known.has(key)) errors.push(tr("validate.type", { key }));
     }
+    if (Number(c.usage_warning) >= Number(c.usage_critical))
+      errors.push(tr("validate.usage"));
 
-    async _runSelected(log) {
-      const d = this._dialog;
-      const get = (id) => d.querySelector(id).checked;
+    const after = formData({ after_clear: c.after_clear }).after_clear || {};
+    if (
+      after.action !== undefined &&
+      !AFTER_CLEAR_ACTIONS.includes(after.action)
+    )
+      errors.push(tr("validate.after_action", { action: after.action }));
+    if (after.action === "navigate" && !after.path)
+      errors.push(tr("validate.after_path"));
 
-      const selections = {
-        ls: get("#opt-ls"),
-        ss: get("#opt-ss"),
-        cookies: get("#opt-cookies"),
-        idb: get("#opt-idb"),
-        cache: get("#opt-cache"),
-        sw: get("#opt-sw"),
-      };
+    const conf = formData({ confirmation: c.confirmation }).confirmation || {};
+    if (conf.mode !== undefined && !CONFIRMATION_MODES.includes(conf.mode))
+      errors.push(tr("validate.confirmation_mode", { mode: conf.mode }));
+    if (conf.mode === "pin" && !globalThis.crypto?.subtle?.digest)
+      errors.push(tr("confirm.pin_insecure"));
+    else if (
+      conf.mode === "pin" &&
+      !/^[0-9a-f]{64}$/i.test(conf.pin_sha256 || "")
+    )
+      errors.push(tr("validate.pin"));
 
-      const chooseBtn = this.shadowRoot?.querySelector(
-        ".actions ha-button, .actions button"
-      );
-      if (chooseBtn) {
-        if (chooseBtn.tagName === "HA-BUTTON")
-          chooseBtn.setAttribute("disabled", "");
-        else chooseBtn.disabled = true;
-      }
+    const presets = c.presets === undefined ? [] : c.presets;
+    if (!Array.isArray(presets)) errors.push(tr("validate.presets"));
+    else
+      presets.forEach((p, i) => {
+        if (!p?.name) errors.push(tr("validate.preset_name", { index: i }));
+        if (!asList(p?.clear).length)
+          errors.push(tr("validate.preset_clear", { index: i }));
+      });
+    for (const kind of ["tap", "hold"]) {
+      const action = c[`${kind}_action`];
+      if (action === undefined) continue;
+      if (typeof action?.action !== "string")
+        errors.push(tr("validate.action", { kind }));
+      else if (
+        action.action === "preset" &&
+        !(
+          Array.isArray(presets) &&
+          presets.some((p) => p?.name === action.preset)
+        )
+      )
+        errors.push(
+          tr("validate.action_preset", { kind, name: action.preset })
+        );
+    }
+    if (c.strings !== undefined && !isPlainObject(c.strings))
+      errors.push(tr("validate.strings"));
+    return errors;
+  };
 
-      const okBtn = d.querySelector("#dlg-ok");
-      okBtn.disabled = true;
+  const getPath = (obj, path) => path.reduce((o, k) => o?.[k], obj);
 
-      try {
-        if (d?.open) d.close();
-      } catch {}
+  const setPath = (obj, path, value) => {
+    const [head, ...rest] = path;
+    const copy = { ...(obj || {}) };
+    copy[head] = rest.length ? setPath(copy[head], rest, value) : value;
+    return copy;
+  };
 
-      log('Clearing ...');
+  // Plain-input rendering of the editor schema for when ha-form is not
+  // available. Values are set as properties, never written into markup.
+  const renderFallbackForm = (
+    schema,
+    data,
+    onChange,
+    path = [],
+    tr = defaultTr
+  ) => {
+    const frag = document.createDocumentFragment();
+    for (const field of schema) {
+      if (field.type === "grid") {
+        frag.appendChild(
+          renderFallbackForm(field.schema, data, onChange, path, tr)
+        );
+        continue;
+      }
+      if (field.type === "expandable") {
+        const details = document.createElement("details");
+        const summary = document.createElement("summary");
+        summary.textContent = field.title;
+        details.append(
+          summary,
+          renderFallbackForm(
+            field.schema,
+            data,
+            onChange,
+            field.flatten ? path : [...path, field.name],
+            tr
+          )
+        );
+        frag.appendChild(details);
+        continue;
+      }
 
-      const toRun = [];
-      if (selections.ls) toRun.push((l) => clearLocalStorage(l));
-      if (selections.ss) toRun.push((l) => clearSessionStorage(l));
-      if (selections.cookies) toRun.push((l) => clearCookies(l));
-      if (selections.cache) toRun.push((l) => clearCacheStorage(l));
-      if (selections.sw) toRun.push((l) => clearServiceWorkers(l));
-      if (selections.idb) toRun.push((l) => clearIndexedDBAll(l));
+      const fieldPath = [...path, field.name];
+      const value = getPath(data, fieldPath);
+      const sel = field.selector;
+      const row = document.createElement("div");
+      row.className = "row";
+      const label = document.createElement("label");
+      label.textContent = field.label || field.name;
+      const err = document.createElement("div");
+      err.className = "err";
+      let input;
 
-      try {
-        for (const op of toRun) {
-          await op(log);
+      if (sel.boolean) {
+        row.className = "chk";
+        input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = !!value;
+        input.addEventListener("change", () =>
+          onChange(fieldPath, input.checked)
+        );
+        label.prepend(input);
+        row.appendChild(label);
+      } else if (sel.select?.multiple) {
+        const chosen = new Set(asList(value));
+        const group = document.createElement("div");
+        group.className = "chk-group";
+        for (const opt of sel.select.options) {
+          const optLabel = document.createElement("label");
+          optLabel.className = "chk";
+          const box = document.createElement("input");
+          box.type = "checkbox";
+          box.checked = chosen.has(opt.value);
+          box.addEventListener("change", () => {
+            if (box.checked) chosen.add(opt.value);
+            else chosen.delete(opt.value);
+            onChange(
+              fieldPath,
+              sel.select.options
+                .map((o) => o.value)
+                .filter((v) => chosen.has(v))
+            );
+          });
+          optLabel.append(box, ` ${opt.label}`);
+          group.appendChild(optLabel);
         }
-        await logStorageState(log);
-      } finally {
-        d.close();
-        setTimeout(() => location.reload(), 200);
+        row.append(label, group);
+      } else if (sel.select) {
+        input = document.createElement("select");
+        input.appendChild(document.createElement("option"));
+        for (const opt of sel.select.options) {
+          const o = document.createElement("option");
+          o.value = opt.value;
+          o.textContent = opt.label;
+          input.appendChild(o);
+        }
+        input.value = value ?? "";
+        input.addEventListener("change", () =>
+          onChange(fieldPath, input.value || undefined)
+        );
+        row.append(label, input);
+      } else if (sel.object || sel.text?.multiple || sel.text?.multiline) {
+        input = document.createElement("textarea");
+        input.rows = sel.object ? 4 : 2;
+        if (sel.object)
+          input.value =
+            value === undefined ? "" : JSON.stringify(value, null, 2);
+        else if (sel.text.multiple) input.value = asList(value).join("\n");
+        else input.value = value ?? "";
+        input.addEventListener("input", () => {
+          err.textContent = "";
+          if (!sel.object) {
+            onChange(
+              fieldPath,
+              sel.text.multiple ? toPatternList(input.value) : input.value
+            );
+            return;
+          }
+          if (!input.value.trim()) {
+            onChange(fieldPath, undefined);
+            return;
+          }
+          try {
+            onChange(fieldPath, JSON.parse(input.value));
+          } catch (e) {
+            err.textContent = tr("editor.invalid_json", { error: e.message });
+          }
+        });
+        row.append(label, input, err);
+      } else {
+        input = document.createElement("input");
+        input.type = sel.number
+          ? "number"
+          : sel.text?.type === "password"
+            ? "password"
+            : "text";
+        if (sel.number) {
+          if (sel.number.min !== undefined) input.min = sel.number.min;
+          if (sel.number.max !== undefined) input.max = sel.number.max;
+          input.step = sel.number.step ?? "any";
+        }
+        input.value = value ?? "";
+        input.addEventListener("input", () => {
+          const raw = input.value;
+          onChange(
+            fieldPath,
+            sel.number ? (raw === "" ? undefined : Number(raw)) : raw
+          );
+        });
+        row.append(label, input);
       }
+      if (field.helper) {
+        const hint = document.createElement("div");
+        hint.className = "hint";
+        hint.textContent = field.helper;
+        row.appendChild(hint);
+      }
+      frag.appendChild(row);
     }
-  }
+    return frag;
+  };
 
+  // Uses ha-form where the frontend provides it, the plain form otherwise.
+  // Every change is emitted right away so the preview follows along.
   class NukeStorageCardEditor extends HTMLElement {
     setConfig(config) {
       this._config = { ...DEFAULTS, ...(config || {}) };
       if (!this.shadowRoot) this.attachShadow({ mode: "open" });
+      if (this._form) {
+        this._tr = this._translator();
+        this._form.data = this._formData();
+        this._form.schema = editorSchema(this._tr);
+        this._showErrors();
+        return;
+      }
+      // Our own change coming back: the plain form already shows it.
+      if (
+        this._emitted &&
+        JSON.stringify(editorOutput(config || {})) ===
+          JSON.stringify(this._emitted)
+      ) {
+        this._showErrors();
+        return;
+      }
       this._render();
     }
+
     set hass(hass) {
       this._hass = hass;
+      if (this._form) this._form.hass = hass;
+      if (!this._tr || this._tr.lang === resolveLanguage(hass)) return;
+      if (this._form) {
+        this._tr = this._translator();
+        this._form.schema = editorSchema(this._tr);
+        this._showErrors();
+      } else this._render();
+    }
+
+    // The form's view of the config, keeping a PIN that is still being typed.
+    _formData() {
+      const data = formData(this._config);
+      if (!this._pin) return data;
+      return {
+        ...data,
+        confirmation: { ...data.confirmation, pin: this._pin },
+      };
+    }
+
+    // Follows the user's language; `strings` overrides apply here too.
+    _translator() {
+      const { strings } = this._config;
+      return makeTranslator(
+        resolveLanguage(this._hass),
+        isPlainObject(strings) ? strings : {}
+      );
     }
 
     _render() {
-      const c = this._config;
+      const tr = (this._tr = this._translator());
       const style = document.createElement("style");
       style.textContent = `
         .ed { display:grid; gap:12px; padding: 12px; }
         .row { display:grid; gap:6px; }
-        label { font-weight: 600; }
-        input[type="text"] { padding:8px; border-radius:8px; border:1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); }
         .chk { display:flex; align-items:center; gap:8px; }
+        .chk-group { display:flex; flex-wrap:wrap; gap:4px 16px; }
+        label { font-weight: 600; }
+        .chk-group label { font-weight: normal; }
+        input[type="text"], input[type="number"], input[type="password"], select, textarea { padding:8px; border-radius:8px; border:1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); font: inherit; }
+        details { display:grid; gap:12px; }
+        summary { cursor: pointer; font-weight: 600; padding: 4px 0; }
+        details > .row, details > .chk { margin-top: 8px; }
+        .hint { opacity: .8; font-size: .9rem; font-weight: normal; }
+        .err { color: var(--error-color, #db4437); font-size: .9rem; }
+        .errors { margin: 0; padding-left: 20px; color: var(--error-color, #db4437); }
       `;
 
       const root = document.createElement("div");
       root.className = "ed";
-      root.innerHTML = `
-        <div class="row">
-          <label for="title">Title</label>
-          <input type="text" id="title" value="${c.title}">
-        </div>
-        <div class="row">
-          <label for="desc">Description</label>
-          <input type="text" id="desc" value="${c.description}">
-        </div>
-        <div class="row">
-          <label for="btn">Button label</label>
-          <input type="text" id="btn" value="${c.button_label}">
-        </div>
-        <div class="chk">
-          <input type="checkbox" id="show" ${c.show_details ? "checked" : ""}>
-          <label for="show">Show log details</label>
-        </div>
-      `;
+      this._errorsEl = document.createElement("ul");
+      this._errorsEl.className = "errors";
+      this._errorsEl.setAttribute("role", "alert");
+      root.appendChild(this._errorsEl);
 
-      const emit = () => {
-        const titleInput = root.querySelector("#title").value.trim();
-        const descInput = root.querySelector("#desc").value.trim();
-        const btnInput = root.querySelector("#btn").value.trim();
-        const detail = {
-          ...this._config,
-          title: titleInput || DEFAULTS.title,
-          description: descInput || DEFAULTS.description,
-          button_label: btnInput || DEFAULTS.button_label,
-          show_details: root.querySelector("#show").checked,
-        };
-        this._config = detail;
-        this.dispatchEvent(
-          new CustomEvent("config-changed", { detail: { config: detail } })
+      const data = formData(this._config);
+      if (customElements.get("ha-form")) {
+        const form = document.createElement("ha-form");
+        form.hass = this._hass;
+        form.data = data;
+        form.schema = editorSchema(tr);
+        form.computeLabel = (s) => s.label ?? s.title ?? s.name;
+        form.computeHelper = (s) => s.helper;
+        form.addEventListener("value-changed", (ev) => {
+          ev.stopPropagation();
+          this._update(ev.detail.value);
+        });
+        this._form = form;
+        root.appendChild(form);
+      } else {
+        this._form = null;
+        this._current = data;
+        root.appendChild(
+          renderFallbackForm(
+            editorSchema(tr),
+            data,
+            (path, value) => {
+              this._current = setPath(this._current, path, value);
+              this._update(this._current);
+            },
+            [],
+            tr
+          )
         );
-      };
+      }
 
-      // Explicitly bind events to each input
-      const titleInput = root.querySelector("#title");
-      const descInput = root.querySelector("#desc");
-      const btnInput = root.querySelector("#btn");
-      const showCheckbox = root.querySelector("#show");
-
-      // Handle Enter key to save configuration
-      const handleEnter = (e) => {
-        if (e.key === "Enter") {
-          emit();
-          // Find the closest form or editor container and dispatch a submit event
-          const form =
-            e.target.closest("form") || e.target.closest("ha-dialog");
-          if (form) {
-            form.dispatchEvent(new Event("submit", { cancelable: true }));
-          }
-        }
-      };
+      // Leaving the PIN field commits what was typed into it.
+      root.addEventListener("focusout", (ev) =>
+        this._commitPin(ev.composedPath()[0])
+      );
 
-      titleInput.addEventListener("change", emit);
-      titleInput.addEventListener("blur", emit);
-      titleInput.addEventListener("keydown", handleEnter);
+      this.shadowRoot.innerHTML = "";
+      this.shadowRoot.append(style, root);
+      this._showErrors();
+    }
 
-      descInput.addEventListener("change", emit);
-      descInput.addEventListener("blur", emit);
-      descInput.addEventListener("keydown", handleEnter);
+    // A PIN being typed stays out of the config until _commitPin.
+    _update(data) {
+      const { pin, ...confirmation } = data.confirmation || {};
+      this._pin = pin ? String(pin) : "";
+      const next = data.confirmation ? { ...data, confirmation } : data;
+      this._emit(async () => editorOutput(next));
+    }
 
-      btnInput.addEventListener("change", emit);
-      btnInput.addEventListener("blur", emit);
-      btnInput.addEventListener("keydown", handleEnter);
+    // Replaces the typed PIN by its hash and empties the field.
+    _commitPin(field) {
+      if (!this._pin) return;
+      const pin = this._pin;
+      this._pin = "";
+      if (!this._form) {
+        this._current = setPath(this._current, ["confirmation", "pin"], "");
+        if (field?.type === "password") field.value = "";
+      }
+      this._emit(async () => {
+        const hash = await sha256Hex(pin);
+        let config = this._emitted;
+        if (hash) {
+          config = {
+            ...config,
+            confirmation: { ...config.confirmation, pin_sha256: hash },
+          };
+          if (!this._form)
+            this._current = setPath(
+              this._current,
+              ["confirmation", "pin_sha256"],
+              hash
+            );
+        }
+        if (this._form) this._form.data = formData(config);
+        return config;
+      });
+    }
 
-      showCheckbox.addEventListener("change", emit);
+    // Emits one config at a time, in the order the changes were made.
+    _emit(build) {
+      this._emitting = (this._emitting || Promise.resolve())
+        .then(build)
+        .then((config) => {
+          this._config = { ...DEFAULTS, ...config };
+          this._emitted = config;
+          this._emitError = "";
+          this._showErrors();
+          this.dispatchEvent(
+            new CustomEvent("config-changed", {
+              detail: { config },
+              bubbles: true,
+              composed: true,
+            })
+          );
+        })
+        .catch((e) => {
+          this._emitError = this._tr("editor.emit_failed", {
+            error: e?.message || e,
+          });
+          this._showErrors();
+        });
+    }
 
-      this.shadowRoot.innerHTML = "";
-      this.shadowRoot.append(style, root);
+    _showErrors() {
+      if (!this._errorsEl) return;
+      this._errorsEl.innerHTML = "";
+      const messages = validateConfig(this._config, this._tr);
+      if (this._emitError) messages.unshift(this._emitError);
+      for (const msg of messages) {
+        const li = document.createElement("li");
+        li.textContent = msg;
+        this._errorsEl.appendChild(li);
+      }
+      this._errorsEl.hidden = !this._errorsEl.childElementCount;
     }
   }
 
   if (!customElements.get("nuke-storage-card")) {
     customElements.define("nuke-storage-card", NukeStorageCard);
+    // First copy of the script on this page.
+    dropCacheBust();
+    // Without the overlay there is nowhere to report to.
+    startRescue().catch(() => {});
+  }
+  if (!customElements.get("nuke-storage-row")) {
+    customElements.define("nuke-storage-row", NukeStorageRow);
   }
   if (!customElements.get("nuke-storage-card-editor")) {
     customElements.define("nuke-storage-card-editor", NukeStorageCardEditor);
@@ -663,7 +7434,7 @@
     type: "nuke-storage-card",
     name: "Nuke Storage Card",
     description:
-      "Clear selected site data (localStorage, sessionStorage, cookies, IndexedDB, caches, service workers).",
+      "Clear selected site data (localStorage, sessionStorage, cookies, IndexedDB, caches, service workers, OPFS, storage buckets).",
     preview: true,
   });
 })();